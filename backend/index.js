@@ -5,13 +5,15 @@
  * ═══════════════════════════════════════════════════════════════════════
  *
  *  Setup:
- *    1. cp .env.example .env   — fill in GITHUB_TOKEN & OPENAI_API_KEY
+ *    1. cp .env.example .env   — fill in GITHUB_TOKEN & an LLM API key
  *    2. npm install
  *    3. npm start              — runs on http://localhost:3000
  *
  *  Endpoints:
- *    POST /api/run-agent       — body: { repoUrl, teamName, leaderName }
+ *    POST /api/run-agent       — body: { repoUrl, teamName, leaderName, llm? }
  *    GET  /api/results/:runId  — poll for run status & results
+ *    DELETE /api/runs/:runId   — cancel an in-flight run
+ *    POST /api/webhooks/github — GitHub CI events (GITHUB_WEBHOOK_SECRET)
  *    WS   ws://localhost:3000  — real-time progress updates
  *
  * ═══════════════════════════════════════════════════════════════════════
@@ -26,7 +28,9 @@ import { WebSocketServer } from "ws";
 import { logger } from "./src/utils/logger.js";
 import { errorHandler, notFoundHandler } from "./src/middlewares/errorHandler.js";
 import agentRouter from "./src/routes/agent.js";
+import webhookRouter from "./src/routes/webhooks.js";
 import { setupWebSocket } from "./src/ws/socket.js";
+import { getQueueStats, recoverInterruptedRuns } from "./src/queue/runQueue.js";
 
 const PORT = process.env.PORT || 3000;
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
@@ -35,15 +39,23 @@ const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
 const app = express();
 
 app.use(cors({ origin: FRONTEND_URL, credentials: true }));
+// Webhooks keep the raw body — signatures are computed over the exact bytes
+app.use("/api/webhooks", express.json({
+  limit: "5mb",
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.json());
 
 // Health check
 app.get("/api/health", (_req, res) => {
-  res.json({ status: "ok", uptime: process.uptime() });
+  res.json({ status: "ok", uptime: process.uptime(), queue: getQueueStats() });
 });
 
 // Agent routes
 app.use("/api", agentRouter);
+app.use("/api", webhookRouter);
 
 // Error handling
 app.use(notFoundHandler);
@@ -56,6 +68,11 @@ setupWebSocket(wss);
 
 server.listen(PORT, () => {
   logger.info(`🚀 PipelineSage backend listening on http://localhost:${PORT}`);
+
+  // Pick up runs a previous process left unfinished
+  recoverInterruptedRuns().catch((err) => {
+    logger.error(`Run recovery failed: ${err.message}`);
+  });
 });
 
 export { wss };
@@ -1,69 +1,112 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
  *  Analyzer Agent
- *  ─ Clones the repo, detects language, discovers tests, runs them
- *    inside a Docker sandbox, and returns structured error output.
+ *  ─ Clones the repo, detects language, reads .pipelinesage.yml,
+ *    discovers tests, runs them inside a Docker sandbox, and returns
+ *    structured error output.
  * ═══════════════════════════════════════════════════════════════════════
  */
 
 import path from "path";
 import fs from "fs-extra";
-import simpleGit from "simple-git";
+import { createAuthedGit, stripUrlCredentials } from "../utils/gitAuth.js";
 import { createRunLogger } from "../utils/logger.js";
 import { detectLanguage, getRuntime } from "../utils/helpers.js";
+import { loadRepoConfig } from "../utils/repoConfig.js";
 import { runInDocker } from "../utils/docker.js";
 import { broadcast } from "../ws/socket.js";
 import { appendLog } from "../store/runStore.js";
 
 export class AnalyzerAgent {
-  constructor(runId) {
+  constructor(runId, { signal } = {}) {
     this.runId = runId;
+    this.signal = signal;
     this.log = createRunLogger(runId, "Analyzer");
   }
 
   /**
-   * Clone repository into a temporary directory.
-   * @returns {string} Path to cloned repo
+   * Clone repository into a temporary directory, checked out at `baseRef`
+   * (branch, tag or commit SHA; the default branch when omitted).
+   * @returns {Promise<{ repoDir: string, baseRef: string, baseSha: string }>}
    */
-  async cloneRepo(repoUrl, branch = "main") {
+  async cloneRepo(repoUrl, baseRef = null) {
     const tmpDir = path.resolve("tmp", this.runId);
     await fs.ensureDir(tmpDir);
 
-    this.log.info(`Cloning ${repoUrl} into ${tmpDir}`);
-    broadcast(this.runId, { event: "clone_start", agent: "Analyzer", message: `Cloning ${repoUrl}...` });
+    const at = baseRef ? ` @ ${baseRef}` : "";
+    this.log.info(`Cloning ${repoUrl}${at} into ${tmpDir}`);
+    broadcast(this.runId, { event: "clone_start", agent: "Analyzer", message: `Cloning ${repoUrl}${at}...` });
 
-    const git = simpleGit();
-    const token = process.env.GITHUB_TOKEN;
-
-    // Inject token for private repos
-    let cloneUrl = repoUrl;
-    if (token && repoUrl.startsWith("https://")) {
-      cloneUrl = repoUrl.replace("https://", `https://${token}@`);
-    }
+    // Private repos authenticate via GIT_ASKPASS — the URL stays token-free
+    const cloneUrl = stripUrlCredentials(repoUrl);
+    const git = await createAuthedGit(undefined, { url: cloneUrl, signal: this.signal });
 
     try {
-      await git.clone(cloneUrl, tmpDir, ["--depth", "1"]);
+      if (baseRef && isCommitSha(baseRef)) {
+        // Clone can't take a SHA — fetch just that commit into an empty repo
+        const repo = await createAuthedGit(tmpDir, { url: cloneUrl, signal: this.signal });
+        await repo.init();
+        await repo.addRemote("origin", cloneUrl);
+        await repo.fetch("origin", baseRef, ["--depth", "1"]);
+        await repo.checkout(["--detach", "FETCH_HEAD"]);
+      } else {
+        await git.clone(cloneUrl, tmpDir, ["--depth", "1", ...(baseRef ? ["--branch", baseRef] : [])]);
+      }
     } catch (err) {
-      // If shallow clone fails (some repos), try full clone
+      this.signal?.throwIfAborted();
+      // Shallow clone / SHA fetch refused (some servers, short SHAs) — full clone
       this.log.warn(`Shallow clone failed, trying full clone: ${err.message}`);
       await fs.emptyDir(tmpDir);
       await git.clone(cloneUrl, tmpDir);
+      if (baseRef) {
+        await createAuthedGit(tmpDir, { url: cloneUrl, signal: this.signal })
+          .then((repo) => repo.checkout(["--detach", baseRef]))
+          .catch((checkoutErr) => {
+            this.signal?.throwIfAborted();
+            throw new Error(`Base ref "${baseRef}" not found in ${cloneUrl}: ${checkoutErr.message}`);
+          });
+      }
     }
 
-    this.log.info("Clone complete");
-    broadcast(this.runId, { event: "clone_done", agent: "Analyzer", message: "Repository cloned successfully" });
-    appendLog(this.runId, { agent: "Analyzer", event: "clone_done" });
+    const repo = await createAuthedGit(tmpDir, { url: cloneUrl, signal: this.signal });
+    const baseSha = (await repo.revparse(["HEAD"])).trim();
+    const resolvedRef = baseRef || (await repo.revparse(["--abbrev-ref", "HEAD"])).trim();
 
-    return tmpDir;
+    this.log.info(`Clone complete — ${resolvedRef} at ${baseSha.slice(0, 12)}`);
+    broadcast(this.runId, {
+      event: "clone_done",
+      agent: "Analyzer",
+      message: "Repository cloned successfully",
+      data: { baseRef: resolvedRef, baseSha },
+    });
+    appendLog(this.runId, { agent: "Analyzer", event: "clone_done", baseRef: resolvedRef, baseSha });
+
+    return { repoDir: tmpDir, baseRef: resolvedRef, baseSha };
   }
 
   /**
    * Detect the project language and test configuration.
+   * Runtime fields from .pipelinesage.yml override the language defaults.
    */
   async detectProject(repoDir) {
     const files = await fs.readdir(repoDir);
     const language = detectLanguage(files);
-    const runtime = getRuntime(language);
+    const { config, errors: configErrors, file: configFile } = await loadRepoConfig(repoDir);
+    const runtime = { ...getRuntime(language), ...config.runtime };
+
+    if (configFile) {
+      this.log.info(`Loaded ${configFile}${configErrors.length ? ` with ${configErrors.length} error(s)` : ""}`);
+      for (const e of configErrors) this.log.warn(`Config: ${e}`);
+      broadcast(this.runId, {
+        event: configErrors.length ? "config_invalid" : "config_loaded",
+        agent: "Analyzer",
+        message: configErrors.length
+          ? `${configFile} has ${configErrors.length} error(s) — invalid fields ignored`
+          : `Loaded ${configFile}`,
+        data: { config, errors: configErrors },
+      });
+      appendLog(this.runId, { agent: "Analyzer", event: "config_loaded", file: configFile, errors: configErrors });
+    }
 
     this.log.info(`Detected language: ${language} → image: ${runtime.image}`);
     broadcast(this.runId, {
@@ -73,7 +116,7 @@ export class AnalyzerAgent {
       data: { language, runtime },
     });
 
-    return { language, runtime, files };
+    return { language, runtime, files, config, configErrors, configFile };
   }
 
   /**
@@ -131,6 +174,8 @@ export class AnalyzerAgent {
       repoDir,
       cmd: fullCmd,
       runId: this.runId,
+      timeout: runtime.timeoutMs,
+      signal: this.signal,
     });
 
     const passed = exitCode === 0;
@@ -151,9 +196,9 @@ export class AnalyzerAgent {
   /**
    * Full analysis pipeline: clone → detect → discover → run tests.
    */
-  async analyze(repoUrl) {
-    const repoDir = await this.cloneRepo(repoUrl);
-    const { language, runtime } = await this.detectProject(repoDir);
+  async analyze(repoUrl, { baseRef } = {}) {
+    const { repoDir, baseRef: resolvedRef, baseSha } = await this.cloneRepo(repoUrl, baseRef);
+    const { language, runtime, config, configErrors, configFile } = await this.detectProject(repoDir);
     const testFiles = await this.discoverTests(repoDir, language);
 
     if (testFiles.length === 0) {
@@ -164,10 +209,20 @@ export class AnalyzerAgent {
 
     return {
       repoDir,
+      baseRef: resolvedRef,
+      baseSha,
       language,
       runtime,
+      config,
+      configErrors,
+      configFile,
       testFiles,
       ...testResult,
     };
   }
 }
+
+/** Full or abbreviated hex commit id */
+function isCommitSha(ref) {
+  return /^[0-9a-f]{7,40}$/i.test(ref);
+}
@@ -3,31 +3,55 @@
  *  Committer Agent
  *  ─ Creates a new branch, commits all applied fixes with [AI-AGENT]
  *    prefix, and pushes to the remote repository.
+ *  ─ Signs commits when a signing key is configured (COMMIT_SIGNING_*).
+ *  ─ Never force-pushes by default: remote changes to the fix branch are
+ *    rebased / merged under the agent's commits (PUSH_MODE).
  * ═══════════════════════════════════════════════════════════════════════
  */
 
 import simpleGit from "simple-git";
+import { createAuthedGit, stripUrlCredentials } from "../utils/gitAuth.js";
 import { createRunLogger } from "../utils/logger.js";
 import { broadcast } from "../ws/socket.js";
 import { appendLog } from "../store/runStore.js";
+import { PUSH_MODES } from "../utils/repoConfig.js";
+import { SigningError, signingGitConfig, signatureStatus } from "../utils/commitSigning.js";
+
+const PUSH_MODE = PUSH_MODES.includes(process.env.PUSH_MODE) ? process.env.PUSH_MODE : "rebase";
+
+/** The remote fix branch diverged and could not be rebased / merged cleanly */
+export class PushConflictError extends Error {
+  constructor(branchName, mode, detail) {
+    const line = detail.split("\n").find((l) => l.startsWith("CONFLICT")) || detail.split("\n")[0];
+    super(`Remote ${branchName} has conflicting changes — ${mode} failed: ${line}`);
+    this.name = "PushConflictError";
+    this.branchName = branchName;
+    this.mode = mode;
+  }
+}
 
 export class CommitterAgent {
-  constructor(runId) {
+  constructor(runId, { signal } = {}) {
     this.runId = runId;
+    this.signal = signal;
     this.log = createRunLogger(runId, "Committer");
   }
 
   /**
-   * Create or checkout the target branch.
+   * Create or checkout the target branch. A new branch starts at `base`
+   * (the run's base commit) when given, else at HEAD.
    */
-  async ensureBranch(repoDir, branchName) {
-    const git = simpleGit(repoDir);
+  async ensureBranch(repoDir, branchName, base = null) {
+    const git = simpleGit(repoDir, { abort: this.signal });
 
     // Check if branch already exists locally
     const branches = await git.branchLocal();
     if (branches.all.includes(branchName)) {
       await git.checkout(branchName);
       this.log.info(`Checked out existing branch: ${branchName}`);
+    } else if (base) {
+      await git.checkoutBranch(branchName, base);
+      this.log.info(`Created new branch: ${branchName} from ${base.slice(0, 12)}`);
     } else {
       await git.checkoutLocalBranch(branchName);
       this.log.info(`Created new branch: ${branchName}`);
@@ -43,17 +67,28 @@ export class CommitterAgent {
   }
 
   /**
-   * Commit all applied fixes with [AI-AGENT] prefix messages.
-   * Groups fixes by file for cleaner commit history.
+   * Commit applied fixes, grouped per `grouping`:
+   *   fix       : one commit per fix
+   *   file      : one commit per primary file (default)
+   *   iteration : one commit for all of this iteration's fixes
+   *   squash    : one commit per iteration now; squashRun() folds them
+   *               into a single commit when the run ends
+   * @param {object} [opts]
+   * @param {"ai-agent"|"conventional"} [opts.style] - built-in message template
+   * @param {string}   [opts.template]  - custom subject template (see buildCommitMessage)
+   * @param {string[]} [opts.trailers]  - "Key: value" lines appended to every message
+   * @param {string}   [opts.grouping]
+   * @param {{ name: string, email: string }} [opts.author]
+   * @param {{ name: string, email: string }} [opts.committer] - defaults to author
+   * @param {number}   [opts.iteration]
+   * @param {object}   [opts.signing] - resolveSigning() result; null = unsigned
+   * @throws {SigningError} when a commit can't be signed
    */
-  async commitFixes(repoDir, fixes, branchName) {
-    const git = simpleGit(repoDir);
+  async commitFixes(repoDir, fixes, branchName, opts = {}) {
+    const { grouping = "file" } = opts;
+    const git = await this._configureGit(simpleGit(repoDir, { abort: this.signal }), opts);
     let commitCount = 0;
 
-    // Configure git user for commits
-    await git.addConfig("user.email", "healflow-ai@agent.bot");
-    await git.addConfig("user.name", "HealFlow AI Agent");
-
     const fixedItems = fixes.filter((f) => f.status === "Fixed");
 
     if (fixedItems.length === 0) {
@@ -61,83 +96,361 @@ export class CommitterAgent {
       return 0;
     }
 
-    // Group fixes by file for cleaner commits
-    const byFile = {};
-    for (const fix of fixedItems) {
-      if (!byFile[fix.file]) byFile[fix.file] = [];
-      byFile[fix.file].push(fix);
-    }
-
-    for (const [file, fileFixes] of Object.entries(byFile)) {
+    for (const [label, group] of groupFixes(fixedItems, grouping)) {
       try {
-        await git.add(file);
+        // Multi-file patches are committed with their primary file
+        await git.add([...new Set(group.flatMap((f) => f.files || [f.file]))]);
 
-        // Build commit message
-        const details = fileFixes
-          .map((f) => `${f.bugType} error in ${f.file} line ${f.lineNumber || "?"} → ${f.description || "fix applied"}`)
-          .join("; ");
-        const message = `[AI-AGENT] Fix ${details}`;
+        const message = buildCommitMessage(group, opts);
 
-        await git.commit(message);
+        await git.commit(message, undefined, { "--author": formatIdentity(this._author(opts)) });
         commitCount++;
-        this.log.info(`Committed: ${message.slice(0, 100)}...`);
+        this.log.info(`Committed: ${message.split("\n")[0].slice(0, 100)}...`);
 
         broadcast(this.runId, {
           event: "committed",
           agent: "Committer",
-          message: `Committed fix for ${file}`,
-          data: { file, fixes: fileFixes.length },
+          message: `Committed fix for ${label}`,
+          data: { file: label, fixes: group.length, grouping },
         });
       } catch (err) {
-        this.log.error(`Failed to commit ${file}: ${err.message}`);
+        this.signal?.throwIfAborted();
+        if (opts.signing && isSigningFailure(err.message)) {
+          throw new SigningError(`Could not sign commit for ${label}: ${firstErrorLine(err.message)}`);
+        }
+        this.log.error(`Failed to commit ${label}: ${err.message}`);
       }
     }
 
-    appendLog(this.runId, { agent: "Committer", event: "commits_done", commitCount });
+    appendLog(this.runId, { agent: "Committer", event: "commits_done", commitCount, grouping });
     return commitCount;
   }
 
   /**
-   * Push the branch to the remote.
+   * Fold every commit after `squashBase` into one (grouping "squash").
+   * If the run's commits were pushed, the branch is re-pushed with a lease
+   * on exactly that pushed head, so no one else's work can be overwritten;
+   * on any failure the un-squashed history is restored.
+   * @param {object[]} fixes - the run's Fixed fixes (for the message)
+   * @returns {Promise<number>} commits the run now contributes (0 or 1)
    */
-  async pushBranch(repoDir, branchName) {
-    const git = simpleGit(repoDir);
-    const token = process.env.GITHUB_TOKEN;
+  async squashRun(repoDir, branchName, squashBase, fixes, opts = {}) {
+    const git = await this._configureGit(simpleGit(repoDir, { abort: this.signal }), opts);
+    const oldHead = (await git.revparse(["HEAD"])).trim();
+    const count = parseInt(await git.raw(["rev-list", "--count", `${squashBase}..HEAD`]), 10);
+    if (count <= 1) return count;
+    if ((await git.raw(["rev-list", "--merges", `${squashBase}..HEAD`])).trim()) {
+      // Remote work was merged in — squashing would rewrite someone else's commits
+      this.log.warn("Not squashing: the branch contains merged remote commits");
+      return count;
+    }
+
+    await git.reset(["--soft", squashBase]);
+    const staged = (await git.raw(["diff", "--cached", "--name-only"])).trim();
+    if (staged && fixes.length > 0) {
+      await git.commit(buildCommitMessage(fixes, opts), undefined, { "--author": formatIdentity(this._author(opts)) });
+    } else {
+      // Everything was reverted along the way — the run leaves no commit
+      await git.reset(["--hard", squashBase]);
+    }
+    const squashed = staged && fixes.length > 0 ? 1 : 0;
 
     try {
-      // Ensure remote URL has token for auth
-      if (token) {
-        const remotes = await git.getRemotes(true);
-        const origin = remotes.find((r) => r.name === "origin");
-        if (origin && !origin.refs.push.includes(token)) {
-          const authedUrl = origin.refs.push.replace("https://", `https://${token}@`);
-          await git.remote(["set-url", "origin", authedUrl]);
+      await this.pushBranch(repoDir, branchName, { mode: "force-with-lease", lease: oldHead });
+    } catch (err) {
+      await git.reset(["--hard", oldHead]);
+      throw err;
+    }
+
+    this.log.info(`Squashed ${count} commit(s) into ${squashed}`);
+    broadcast(this.runId, {
+      event: "squashed",
+      agent: "Committer",
+      message: `Squashed ${count} commit(s) into ${squashed}`,
+      data: { commits: count, squashBase },
+    });
+    appendLog(this.runId, { agent: "Committer", event: "squashed", commits: count, squashBase });
+    return squashed;
+  }
+
+  /** Repo-local committer identity and signing (also used by rebase / revert commits) */
+  async _configureGit(git, opts) {
+    const committer = opts.committer || this._author(opts);
+    await git.addConfig("user.email", committer.email);
+    await git.addConfig("user.name", committer.name);
+
+    if (opts.signing) {
+      const config = await signingGitConfig(opts.signing, committer.email);
+      for (const [key, value] of Object.entries(config)) await git.addConfig(key, value);
+    } else {
+      await git.addConfig("commit.gpgsign", "false");
+    }
+    return git;
+  }
+
+  _author(opts) {
+    return opts.author || DEFAULT_IDENTITY;
+  }
+
+  /**
+   * Push the branch without discarding commits others added to it.
+   * If the remote branch moved, the agent's commits are first
+   *   rebase           : replayed on top of it (default)
+   *   merge            : merged with it
+   *   force-with-lease : pushed over it — only if the remote is still where
+   *                      we just saw it
+   * @param {object} [opts]
+   * @param {"rebase"|"merge"|"force-with-lease"} [opts.mode] - defaults to PUSH_MODE
+   * @param {string} [opts.lease] - force-with-lease only: the remote SHA we
+   *   expect to overwrite (default: whatever the fetch just saw)
+   * @returns {Promise<{ mode: string, remoteSha: string | null, integrated: boolean, headSha: string }>}
+   *   `integrated` — remote commits now sit under ours (rebase) or beside
+   *   them (merge); `remoteSha` is the remote tip we integrated or leased;
+   *   `headSha` is the commit the remote branch now points at
+   * @throws {PushConflictError} when rebase/merge conflicts (tree left unchanged)
+   */
+  async pushBranch(repoDir, branchName, { mode = PUSH_MODE, lease } = {}) {
+    try {
+      // Auth comes from GIT_ASKPASS; make sure no credentials sit in .git/config
+      const remotes = await simpleGit(repoDir, { abort: this.signal }).getRemotes(true);
+      const pushUrl = remotes.find((r) => r.name === "origin")?.refs.push || "";
+      const git = await createAuthedGit(repoDir, { url: stripUrlCredentials(pushUrl), signal: this.signal });
+      if (pushUrl && stripUrlCredentials(pushUrl) !== pushUrl) {
+        await git.remote(["set-url", "origin", stripUrlCredentials(pushUrl)]);
+      }
+
+      const remoteSha = await this._fetchRemoteBranch(git, branchName);
+      const pushArgs = ["--set-upstream"];
+      let integrated = false;
+
+      if (remoteSha && !(await isAncestor(git, remoteSha, "HEAD"))) {
+        this.log.info(`Remote ${branchName} has commits we don't (${remoteSha.slice(0, 7)}) — ${mode}`);
+        if (mode === "force-with-lease") {
+          pushArgs.push(`--force-with-lease=${branchName}:${lease || remoteSha}`);
+        } else {
+          await this._integrate(git, branchName, remoteSha, mode);
+          integrated = true;
         }
       }
 
-      await git.push("origin", branchName, ["--set-upstream", "--force"]);
-      this.log.info(`✓ Pushed branch ${branchName} to remote`);
+      await git.push("origin", branchName, pushArgs);
+      const headSha = (await git.revparse(["HEAD"])).trim();
+      this.log.info(`✓ Pushed branch ${branchName} to remote (${headSha.slice(0, 7)})`);
 
       broadcast(this.runId, {
         event: "pushed",
         agent: "Committer",
-        message: `Pushed ${branchName} to GitHub`,
+        message: `Pushed ${branchName} to origin${integrated ? ` (${mode}d onto remote changes)` : ""}`,
+        data: { mode, integrated, remoteSha, headSha },
       });
+      return { mode, remoteSha, integrated, headSha };
     } catch (err) {
       this.log.error(`Push failed: ${err.message}`);
       throw err;
     }
   }
 
+  /** Fetch origin/<branch>; its SHA, or null if the branch isn't on the remote yet */
+  async _fetchRemoteBranch(git, branchName) {
+    const heads = await git.listRemote(["--heads", "origin", `refs/heads/${branchName}`]);
+    if (!heads.trim()) return null;
+
+    await git.fetch("origin", `+refs/heads/${branchName}:refs/remotes/origin/${branchName}`);
+    return (await git.revparse([`refs/remotes/origin/${branchName}`])).trim();
+  }
+
+  /** Rebase onto / merge with the remote branch; abort and throw on conflict */
+  async _integrate(git, branchName, remoteSha, mode) {
+    // A shallow clone may not reach the merge base — fetch full history
+    if ((await git.revparse(["--is-shallow-repository"])).trim() === "true") {
+      await git.fetch(["--unshallow", "origin"]);
+    }
+
+    try {
+      if (mode === "merge") {
+        await git.merge(["--no-edit", remoteSha]);
+      } else {
+        await git.rebase([remoteSha]);
+      }
+    } catch (err) {
+      this.signal?.throwIfAborted();
+      await git.raw([mode === "merge" ? "merge" : "rebase", "--abort"]).catch(() => {});
+      throw new PushConflictError(branchName, mode, err.message);
+    }
+  }
+
+  /**
+   * Current HEAD commit SHA.
+   */
+  async getHead(repoDir) {
+    const git = simpleGit(repoDir, { abort: this.signal });
+    return (await git.revparse(["HEAD"])).trim();
+  }
+
+  /**
+   * The run's own commits after `since` (first-parent, no merges — remote
+   * work merged in is not ours), newest first, with signature status.
+   * @returns {Promise<Array<{ sha: string, subject: string, signed: boolean, signature: string, signingKey: string | null }>>}
+   */
+  async listCommits(repoDir, since) {
+    const git = simpleGit(repoDir, { abort: this.signal });
+    const out = await git.raw([
+      "log", "--first-parent", "--no-merges", "--format=%H%x1f%G?%x1f%GK%x1f%s", `${since}..HEAD`,
+    ]);
+    return out.split("\n").filter(Boolean).map((line) => {
+      const [sha, letter, signingKey, subject] = line.split("\x1f");
+      const signature = signatureStatus(letter);
+      return { sha, subject, signed: signature !== "unsigned", signature, signingKey: signingKey || null };
+    });
+  }
+
+  /**
+   * Undo everything since `baseSha`: discard uncommitted edits, then add
+   * a single revert commit for any commits made after it (history is kept
+   * so the branch can be pushed without rewriting it). Only first-parent,
+   * non-merge commits are reverted, so remote work merged in by a safe
+   * push is left alone.
+   * @param {object} [opts] - commit settings; `author` as in commitFixes()
+   * @returns {number} revert commits created (0 or 1)
+   */
+  async revertSince(repoDir, baseSha, reason, opts = {}) {
+    const git = simpleGit(repoDir, { abort: this.signal });
+    await git.reset(["--hard", "HEAD"]);
+
+    const ours = (await git.raw(["rev-list", "--first-parent", "--no-merges", `${baseSha}..HEAD`]))
+      .split("\n").filter(Boolean);
+    const total = ours.length;
+    if (total > 0) {
+      await git.raw(["revert", "--no-commit", ...ours]);
+      await git.commit(`[AI-AGENT] Revert ${total} commit(s): ${reason}`, undefined, {
+        "--author": formatIdentity(this._author(opts)),
+      });
+    }
+
+    this.log.info(`Reverted working tree to ${baseSha.slice(0, 7)} (${total} commit(s) undone)`);
+    broadcast(this.runId, {
+      event: "reverted",
+      agent: "Committer",
+      message: `Reverted fixes — ${reason}`,
+      data: { baseSha, commitsReverted: total },
+    });
+    appendLog(this.runId, { agent: "Committer", event: "reverted", baseSha, commitsReverted: total, reason });
+
+    return total > 0 ? 1 : 0;
+  }
+
   /**
    * Full commit pipeline: branch → commit → push.
+   * A push error carries `commitCount` — the commits exist locally.
+   * @returns {Promise<{ commitCount: number, push: object | null }>} push — pushBranch() result
    */
-  async commitAndPush(repoDir, fixes, branchName) {
-    await this.ensureBranch(repoDir, branchName);
-    const commitCount = await this.commitFixes(repoDir, fixes, branchName);
+  async commitAndPush(repoDir, fixes, branchName, opts = {}) {
+    await this.ensureBranch(repoDir, branchName, opts.base);
+    const commitCount = await this.commitFixes(repoDir, fixes, branchName, opts);
+    let push = null;
     if (commitCount > 0) {
-      await this.pushBranch(repoDir, branchName);
+      try {
+        push = await this.pushBranch(repoDir, branchName, { mode: opts.pushMode });
+      } catch (err) {
+        err.commitCount = commitCount;
+        throw err;
+      }
     }
-    return commitCount;
+    return { commitCount, push };
   }
 }
+
+/** Identity used when neither the run nor the repo config names one */
+const DEFAULT_IDENTITY = {
+  name: process.env.COMMIT_AUTHOR_NAME || "HealFlow AI Agent",
+  email: process.env.COMMIT_AUTHOR_EMAIL || "healflow-ai@agent.bot",
+};
+
+/** Built-in subject templates, selected by `commit.style` */
+const STYLE_TEMPLATES = {
+  "ai-agent": "[AI-AGENT] Fix {summary}",
+  conventional: "fix({scope}): [AI-AGENT] {changes}",
+};
+
+function formatIdentity({ name, email }) {
+  return `${name} <${email}>`;
+}
+
+/** Split fixes into [label, fixes] commit groups */
+function groupFixes(fixes, grouping) {
+  if (grouping === "fix") {
+    return fixes.map((f) => [f.file, [f]]);
+  }
+  if (grouping === "iteration" || grouping === "squash") {
+    return [[commitScope(fixes), fixes]];
+  }
+
+  const byFile = new Map();
+  for (const fix of fixes) {
+    if (!byFile.has(fix.file)) byFile.set(fix.file, []);
+    byFile.get(fix.file).push(fix);
+  }
+  return [...byFile];
+}
+
+/**
+ * Render the commit message for one group of fixes.
+ *   ai-agent     : [AI-AGENT] Fix SYNTAX error in a.py line 8 → ...
+ *   conventional : fix(a.py): [AI-AGENT] SYNTAX error line 8 → ...
+ * A custom `template` replaces the style; `trailers` follow a blank line.
+ */
+function buildCommitMessage(fixes, { style = "ai-agent", template, trailers = [], iteration } = {}) {
+  const describe = (f) => `${f.bugType} error line ${f.lineNumber || "?"} → ${f.description || "fix applied"}`;
+  const files = [...new Set(fixes.map((f) => f.file))];
+  const values = {
+    scope: commitScope(fixes),
+    file: files[0],
+    files: files.join(", "),
+    bugTypes: [...new Set(fixes.map((f) => f.bugType))].join(", "),
+    count: String(fixes.length),
+    iteration: iteration === undefined ? "" : String(iteration),
+    summary: fixes.map((f) => `${f.bugType} error in ${f.file} line ${f.lineNumber || "?"} → ${f.description || "fix applied"}`).join("; "),
+    changes: fixes.map(describe).join("; "),
+    description: fixes.map((f) => f.description || "fix applied").join("; "),
+  };
+
+  const subject = (template || STYLE_TEMPLATES[style] || STYLE_TEMPLATES["ai-agent"])
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+    .replace(/[\r\n]+/g, " ");
+  return trailers.length > 0 ? `${subject}\n\n${trailers.join("\n")}` : subject;
+}
+
+/** One file → that file; several → their deepest common directory, or "repo" */
+function commitScope(fixes) {
+  const files = [...new Set(fixes.map((f) => f.file))];
+  if (files.length === 1) return files[0];
+
+  const dirs = files.map((f) => f.split("/").slice(0, -1));
+  const common = [];
+  for (let i = 0; dirs.every((d) => i < d.length && d[i] === dirs[0][i]); i++) common.push(dirs[0][i]);
+  return common.length > 0 ? common.join("/") : "repo";
+}
+
+/**
+ * git's own signing failures: "gpg failed to sign the data" (gpg), the
+ * signer's stderr (ssh-keygen), then "failed to write commit object".
+ */
+function isSigningFailure(message) {
+  return /gpg failed to sign the data|ssh-keygen|failed to write commit object/i.test(message);
+}
+
+/** First meaningful line of git's error output */
+function firstErrorLine(message) {
+  const lines = message.split("\n").map((l) => l.trim()).filter(Boolean);
+  return lines.find((l) => /^(error|fatal):/.test(l)) || lines[0] || message;
+}
+
+/**
+ * True when commit `ancestor` (full SHA) is reachable from `ref`.
+ * (simple-git resolves on a silent non-zero exit, so `--is-ancestor`
+ * can't be used — compare the merge base instead.)
+ */
+async function isAncestor(git, ancestor, ref) {
+  const base = await git.raw(["merge-base", ancestor, ref]).catch(() => "");
+  return base.trim() === ancestor;
+}
@@ -1,107 +1,127 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
  *  Fixer Agent
- *  ─ Uses LLM (Google Gemini via LangChain) to classify bugs from error
- *    logs, generate targeted code fixes, and apply them to the local repo.
- *  ─ Supports model fallback chain + retry with backoff on rate limits.
+ *  ─ Uses an LLM (via LangChain — see llm/providers.js) to classify bugs
+ *    from error logs, generate targeted code fixes as unified diffs, and
+ *    apply them to the local repo.
+ *  ─ Supports a cross-provider fallback chain + retry with backoff on
+ *    rate limits.
  * ═══════════════════════════════════════════════════════════════════════
  */
 
 import fs from "fs-extra";
 import path from "path";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { setTimeout as sleep } from "timers/promises";
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
 import { createRunLogger } from "../utils/logger.js";
 import { parseErrorLog, BUG_TYPES } from "../utils/classifier.js";
+import { planPatch, planReplacement, renderPatch, PatchError } from "../utils/patch.js";
+import { validateSyntax } from "../utils/syntaxCheck.js";
+import { resolveInside, createPathPolicy, PathBlockedError } from "../utils/pathGuard.js";
 import { broadcast } from "../ws/socket.js";
 import { appendLog } from "../store/runStore.js";
+import {
+  resolveModelChain, createChatModel, isRateLimitError, isUnavailableError,
+} from "../llm/providers.js";
 
 const SYSTEM_PROMPT = `You are an expert autonomous code-fixing agent. Your task is to analyze error logs from CI/CD test runs and produce precise, minimal code fixes.
 
 RULES:
 1. Only modify the exact lines that cause the error.
 2. Preserve existing code style and indentation.
-3. Each fix must be a complete, drop-in replacement for the affected lines.
-4. Classify each bug as one of: SYNTAX, LINTING, LOGIC, TYPE_ERROR, IMPORT, INDENTATION, RUNTIME.
-5. Return your response as valid JSON only — no markdown, no explanation outside JSON.
+3. Express each fix as a unified diff ("patch") against the current file contents, with "--- a/<path>" and "+++ b/<path>" headers, "@@ -start,count +start,count @@" hunk headers and up to 3 lines of unchanged context around every change. Use the numbered source context to get line numbers and context exactly right.
+4. A single fix may contain several hunks and several files when the change must be made together.
+5. Classify each bug as one of: SYNTAX, LINTING, LOGIC, TYPE_ERROR, IMPORT, INDENTATION, RUNTIME.
+6. Return your response as valid JSON only — no markdown, no explanation outside JSON. Escape newlines inside the patch string as \\n.
 
 Response format (JSON array):
 [
   {
-    "file": "relative/path/to/file.py",
+    "file": "src/validator.py",
     "lineNumber": 8,
     "bugType": "SYNTAX",
     "description": "Missing colon at end of function definition",
-    "originalCode": "def validate(data)",
-    "fixedCode": "def validate(data):",
+    "patch": "--- a/src/validator.py\\n+++ b/src/validator.py\\n@@ -6,5 +6,5 @@\\n import re\\n \\n-def validate(data)\\n+def validate(data):\\n     if not data:\\n         return False\\n",
     "commitMessage": "Fix SYNTAX error in src/validator.py line 8 → add the colon"
   }
 ]`;
 
-/**
- * Fallback model chain — ordered by free-tier quota (highest first):
- *   gemini-2.5-flash-lite : 1,000 RPD, 15 RPM  (best free quota)
- *   gemini-2.5-flash      :   250 RPD, 10 RPM
- *   gemini-2.0-flash-lite :   fallback
- */
-const FALLBACK_MODELS = [
-  process.env.GEMINI_MODEL || "gemini-2.5-flash-lite",
-  "gemini-2.5-flash",
-  "gemini-2.0-flash-lite",
-];
-
 export class FixerAgent {
-  constructor(runId) {
+  /**
+   * @param {string} runId
+   * @param {object} [opts]
+   * @param {AbortSignal} [opts.signal]
+   * @param {{ provider: string, model?: string }} [opts.llm] - preferred model for this run
+   */
+  constructor(runId, { signal, llm } = {}) {
     this.runId = runId;
+    this.signal = signal;
     this.log = createRunLogger(runId, "Fixer");
+    this.modelChain = resolveModelChain(llm);
   }
 
-  /** Create a fresh LLM instance for a given model name */
-  _createLLM(modelName) {
-    return new ChatGoogleGenerativeAI({
-      model: modelName,
-      apiKey: process.env.GOOGLE_API_KEY,
-      temperature: 0.1,
-      maxOutputTokens: 8192,
-    });
+  /** Create a fresh LLM instance for a { provider, model } spec */
+  _createLLM(spec) {
+    return createChatModel(spec);
   }
 
-  /** Invoke LLM with retry + model fallback */
+  /** Invoke LLM with retry + provider/model fallback (aborts on this.signal) */
   async _invokeWithFallback(messages) {
-    for (const model of FALLBACK_MODELS) {
-      const llm = this._createLLM(model);
+    for (const spec of this.modelChain) {
+      this.signal?.throwIfAborted();
+      const label = `${spec.provider}:${spec.model}`;
+
+      let llm;
+      try {
+        llm = this._createLLM(spec);
+      } catch (err) {
+        this.log.warn(`Skipping ${label}: ${err.message}`);
+        continue;
+      }
+
       for (let attempt = 1; attempt <= 3; attempt++) {
         try {
-          this.log.info(`Trying model ${model} (attempt ${attempt}/3)...`);
-          const response = await llm.invoke(messages);
-          this.log.info(`✓ Model ${model} responded successfully`);
+          this.log.info(`Trying model ${label} (attempt ${attempt}/3)...`);
+          const response = await llm.invoke(messages, { signal: this.signal });
+          this.log.info(`✓ Model ${label} responded successfully`);
           return response;
         } catch (err) {
-          const is429 = err.message?.includes("429") || err.message?.includes("quota") || err.message?.includes("Too Many Requests");
+          this.signal?.throwIfAborted();
+          const is429 = isRateLimitError(err);
           if (is429 && attempt < 3) {
             const delay = attempt * 15_000; // 15s, 30s
-            this.log.warn(`Rate limited on ${model}, retrying in ${delay / 1000}s...`);
-            await new Promise((r) => setTimeout(r, delay));
+            this.log.warn(`Rate limited on ${label}, retrying in ${delay / 1000}s...`);
+            await sleep(delay, undefined, { signal: this.signal });
           } else if (is429) {
-            this.log.warn(`${model} quota exhausted, trying next model...`);
+            this.log.warn(`${label} quota exhausted, trying next model...`);
             break; // try next model
+          } else if (isUnavailableError(err)) {
+            this.log.warn(`${label} unavailable (${err.message}), trying next model...`);
+            break; // provider down — try next model
           } else {
             throw err; // non-rate-limit error, bubble up
           }
         }
       }
     }
-    throw new Error("All Gemini models exhausted — rate limited on every fallback");
+    throw new Error("All LLM models exhausted — rate limited or unavailable on every fallback");
   }
 
   /**
    * Analyze errors and generate fixes via LLM.
+   * @param {object} [opts]
+   * @param {object[]} [opts.rejectedFixes] - last iteration's fixes that failed syntax checks
+   * @param {object[]} [opts.ciFailures] - failed CI jobs' logs (MonitorAgent.fetchFailedJobLogs)
    */
-  async generateFixes(errorOutput, repoDir) {
+  async generateFixes(errorOutput, repoDir, { rejectedFixes = [], ciFailures = [] } = {}) {
     this.log.info("Parsing error log for structured issues...");
 
+    const ciOutput = ciFailures
+      .map((f) => `### ${f.workflow} / ${f.job}${f.step ? ` — step "${f.step}"` : ""}\n${f.log}`)
+      .join("\n\n");
+
     // First-pass pattern-based classification
-    const parsedErrors = parseErrorLog(errorOutput);
+    const parsedErrors = parseErrorLog(ciOutput ? `${errorOutput}\n${ciOutput}` : errorOutput);
     this.log.info(`Pattern matching found ${parsedErrors.length} error(s)`);
 
     // Gather source context for each error
@@ -109,8 +129,9 @@ export class FixerAgent {
       parsedErrors.map(async (err) => {
         let sourceContext = "";
         if (err.file) {
-          const filePath = path.resolve(repoDir, err.file);
-          if (await fs.pathExists(filePath)) {
+          // Log paths are untrusted too — never read outside the clone
+          const filePath = await resolveInside(repoDir, err.file).then((r) => r.abs, () => null);
+          if (filePath && await fs.pathExists(filePath)) {
             const content = await fs.readFile(filePath, "utf-8");
             const lines = content.split("\n");
             const start = Math.max(0, (err.lineNumber || 1) - 5);
@@ -125,7 +146,20 @@ export class FixerAgent {
     // Send to LLM for refined classification + fix generation
     broadcast(this.runId, { event: "fix_generate_start", agent: "Fixer", message: "Generating fixes with AI..." });
 
-    const userPrompt = `Here are the errors from the test run:\n\n${errorOutput}\n\n---\nParsed errors with source context:\n${JSON.stringify(errorContexts, null, 2)}\n\nAnalyze each error and generate fixes. Return a JSON array of fixes.`;
+    let userPrompt = `Here are the errors from the test run:\n\n${errorOutput}\n\n---\nParsed errors with source context:\n${JSON.stringify(errorContexts, null, 2)}\n\nAnalyze each error and generate fixes. Return a JSON array of fixes.`;
+
+    if (rejectedFixes.length > 0) {
+      const feedback = rejectedFixes.map((f) => ({
+        file: f.file,
+        reason: f.reason,
+        patch: (f.patch || f.fixedCode || "").slice(0, 2000),
+      }));
+      userPrompt += `\n\n---\nYour previous fixes below were REJECTED because the patched files did not parse. Do not repeat them; produce syntactically valid fixes:\n${JSON.stringify(feedback, null, 2)}`;
+    }
+
+    if (ciOutput) {
+      userPrompt += `\n\n---\nThese CI jobs failed on the pushed commit. CI's environment can differ from the test run above (OS, tool versions, lint steps, matrix builds) — fix these failures too:\n\n${ciOutput}`;
+    }
 
     let fixes = [];
     try {
@@ -134,7 +168,8 @@ export class FixerAgent {
         new HumanMessage(userPrompt),
       ]);
 
-      const content = response.content.trim();
+      // Some providers (e.g. Anthropic) return content blocks rather than a string
+      const content = (typeof response.content === "string" ? response.content : response.text).trim();
       // Extract JSON from response (handle markdown code blocks)
       const jsonMatch = content.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -144,6 +179,7 @@ export class FixerAgent {
         fixes = [];
       }
     } catch (err) {
+      this.signal?.throwIfAborted();
       this.log.error(`LLM fix generation failed: ${err.message}`);
       // Fall back to pattern-based fixes with generic descriptions
       fixes = parsedErrors.map((e) => ({
@@ -170,57 +206,91 @@ export class FixerAgent {
 
   /**
    * Apply fixes to files on disk.
+   * Unified-diff fixes (`patch`) are fitted hunk by hunk; a fix is written
+   * only if every hunk in every file applies. Legacy originalCode/fixedCode
+   * fixes replace the first exact occurrence. The patch actually applied is
+   * stored on each Fixed result.
+   * Target paths must stay inside the clone and pass the deny/allow policy
+   * (see pathGuard.js); anything else comes back as Blocked, untouched.
+   * Patched files are syntax-checked before anything is written; fixes that
+   * fail come back as Rejected with the parse error as `reason`.
+   * @param {object}   [opts]
+   * @param {string[]} [opts.allowedPaths] - globs from .pipelinesage.yml `fixer.paths`
+   * @param {string[]} [opts.deniedPaths]  - extra deny globs from `fixer.deny`
+   * @param {object}   [opts.runtime]      - sandbox runtime (for the Python check)
+   * @param {string}   [opts.language]     - detected project language
    */
-  async applyFixes(fixes, repoDir) {
+  async applyFixes(fixes, repoDir, { allowedPaths, deniedPaths, runtime, language } = {}) {
     const results = [];
+    const blockReason = createPathPolicy({ allow: allowedPaths, deny: deniedPaths });
 
     for (const fix of fixes) {
-      if (!fix.file || !fix.originalCode || !fix.fixedCode) {
+      if (!fix.patch && (!fix.file || !fix.originalCode || !fix.fixedCode)) {
         this.log.warn(`Skipping incomplete fix for ${fix.file || "unknown"}`);
         results.push({ ...fix, status: "Skipped" });
         continue;
       }
 
-      const filePath = path.resolve(repoDir, fix.file);
+      const label = fix.file || "patch";
 
       try {
-        if (!(await fs.pathExists(filePath))) {
-          this.log.warn(`File not found: ${fix.file}`);
-          results.push({ ...fix, status: "Failed", reason: "File not found" });
+        let edits;
+        try {
+          edits = fix.patch ? await planPatch(fix.patch, repoDir) : await planReplacement(fix, repoDir);
+        } catch (err) {
+          if (err instanceof PathBlockedError) {
+            results.push(this._blocked(fix, [err.file], `Blocked write to ${err.message}`));
+            continue;
+          }
+          if (!(err instanceof PatchError)) throw err;
+          this.log.warn(`Rejected fix for ${label}: ${err.message}`);
+          results.push({ ...fix, status: "Failed", reason: err.message });
           continue;
         }
 
-        let content = await fs.readFile(filePath, "utf-8");
-
-        if (!content.includes(fix.originalCode)) {
-          this.log.warn(`Original code not found in ${fix.file} — attempting line-based replacement`);
-          // Try line-based replacement
-          const lines = content.split("\n");
-          if (fix.lineNumber && fix.lineNumber <= lines.length) {
-            lines[fix.lineNumber - 1] = fix.fixedCode;
-            content = lines.join("\n");
-            await fs.writeFile(filePath, content, "utf-8");
-            this.log.info(`✓ Applied line-based fix to ${fix.file}:${fix.lineNumber}`);
-            results.push({ ...fix, status: "Fixed" });
-          } else {
-            results.push({ ...fix, status: "Failed", reason: "Original code not found" });
-          }
+        const files = edits.map((e) => e.file);
+
+        const blocked = files
+          .map((f) => ({ file: f, reason: blockReason(f) }))
+          .filter((b) => b.reason);
+        if (blocked.length > 0) {
+          const reason = `Blocked write to ${blocked.map((b) => `${b.file}: ${b.reason}`).join("; ")}`;
+          results.push(this._blocked(fix, blocked.map((b) => b.file), reason));
           continue;
         }
 
-        content = content.replace(fix.originalCode, fix.fixedCode);
-        await fs.writeFile(filePath, content, "utf-8");
-        this.log.info(`✓ Applied fix to ${fix.file}:${fix.lineNumber} [${fix.bugType}]`);
-        results.push({ ...fix, status: "Fixed" });
+        const syntaxErrors = await validateSyntax(edits, {
+          runId: this.runId, runtime, language, signal: this.signal,
+        });
+        if (syntaxErrors.length > 0) {
+          const reason = syntaxErrors.map((e) => `Syntax error in ${e.file}: ${e.message}`).join("; ");
+          this.log.warn(`Rejected fix for ${label} — ${reason}`);
+          results.push({ ...fix, status: "Rejected", reason });
+          broadcast(this.runId, {
+            event: "fix_rejected",
+            agent: "Fixer",
+            message: `Rejected ${fix.bugType} fix for ${files.join(", ")} — patched file does not parse`,
+            data: { files, errors: syntaxErrors },
+          });
+          continue;
+        }
+
+        for (const edit of edits) {
+          await fs.outputFile(path.resolve(repoDir, edit.file), edit.after, "utf-8");
+        }
+
+        const applied = { ...fix, file: fix.file || files[0], files, patch: renderPatch(edits), status: "Fixed" };
+        this.log.info(`✓ Applied fix to ${files.join(", ")}${fix.lineNumber ? `:${fix.lineNumber}` : ""} [${fix.bugType}]`);
+        results.push(applied);
 
         broadcast(this.runId, {
           event: "fix_applied",
           agent: "Fixer",
-          message: `Fixed ${fix.bugType} in ${fix.file}`,
-          data: { file: fix.file, bugType: fix.bugType },
+          message: `Fixed ${fix.bugType} in ${files.join(", ")}`,
+          data: { file: applied.file, files, bugType: fix.bugType },
         });
       } catch (err) {
-        this.log.error(`Failed to apply fix to ${fix.file}: ${err.message}`);
+        this.log.error(`Failed to apply fix to ${label}: ${err.message}`);
         results.push({ ...fix, status: "Failed", reason: err.message });
       }
     }
@@ -231,8 +301,22 @@ export class FixerAgent {
       total: results.length,
       fixed: results.filter((r) => r.status === "Fixed").length,
       failed: results.filter((r) => r.status === "Failed").length,
+      rejected: results.filter((r) => r.status === "Rejected").length,
+      blocked: results.filter((r) => r.status === "Blocked").length,
     });
 
     return results;
   }
+
+  /** Record a fix whose target path failed containment or the path policy */
+  _blocked(fix, files, reason) {
+    this.log.warn(`${reason} — fix not applied`);
+    broadcast(this.runId, {
+      event: "fix_blocked",
+      agent: "Fixer",
+      message: `Blocked ${fix.bugType || "fix"} for ${files.join(", ")} — path not writable`,
+      data: { files, reason },
+    });
+    return { ...fix, status: "Blocked", reason };
+  }
 }
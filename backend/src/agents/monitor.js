@@ -1,29 +1,39 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════
  *  Monitor Agent
- *  ─ Uses Octokit (GitHub API) to trigger CI/CD workflows, poll their
- *    status until completion, and report results.
+ *  ─ Triggers CI/CD through a CI provider (GitHub Actions, GitLab CI,
+ *    Jenkins — see ci/index.js), polls every run for the pushed commit
+ *    until completion, and reports results with failed jobs' logs.
  * ═══════════════════════════════════════════════════════════════════════
  */
 
-import { Octokit } from "@octokit/rest";
+import { setTimeout as delay } from "timers/promises";
 import { createRunLogger } from "../utils/logger.js";
 import { broadcast } from "../ws/socket.js";
 import { appendLog } from "../store/runStore.js";
+import { redact } from "../utils/redact.js";
+import { webhooksEnabled, subscribeCIEvents } from "../utils/ciEvents.js";
+
+/** Failed jobs whose logs are handed to the Fixer, and how much of each */
+const MAX_FAILED_JOBS = 5;
+const MAX_LOG_CHARS = 4000;
+
+/** Re-check interval while waiting on webhooks, in case a delivery is lost */
+const WEBHOOK_FALLBACK_POLL_MS = 60_000;
 
 export class MonitorAgent {
-  constructor(runId) {
+  constructor(runId, { signal } = {}) {
     this.runId = runId;
+    this.signal = signal;
     this.log = createRunLogger(runId, "Monitor");
-    this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
   }
 
   /**
-   * Trigger a CI/CD workflow on the given branch.
-   * Attempts to dispatch the default workflow or find an existing one.
+   * Trigger CI for the given branch (a push usually has already).
+   * @param {object} ci - CI provider (ci/index.js)
    */
-  async triggerWorkflow(owner, repo, branch) {
-    this.log.info(`Checking for workflows in ${owner}/${repo}`);
+  async triggerWorkflow(ci, branch, headSha) {
+    this.log.info(`Checking ${ci.name} for CI/CD`);
     broadcast(this.runId, {
       event: "ci_trigger_start",
       agent: "Monitor",
@@ -31,130 +41,239 @@ export class MonitorAgent {
     });
 
     try {
-      // List available workflows
-      const { data: { workflows } } = await this.octokit.actions.listRepoWorkflows({
-        owner,
-        repo,
-      });
-
-      if (workflows.length === 0) {
-        this.log.warn("No workflows found in repository");
-        return { triggered: false, reason: "No workflows configured" };
+      const result = await ci.trigger({ branch, headSha });
+      if (!result.triggered) {
+        this.log.warn(`No CI found: ${result.reason}`);
+        return result;
       }
 
-      // Find the first active workflow
-      const activeWorkflow = workflows.find((w) => w.state === "active") || workflows[0];
-      this.log.info(`Found workflow: ${activeWorkflow.name} (${activeWorkflow.path})`);
-
-      // Try to dispatch workflow
-      try {
-        await this.octokit.actions.createWorkflowDispatch({
-          owner,
-          repo,
-          workflow_id: activeWorkflow.id,
-          ref: branch,
-        });
-        this.log.info(`Dispatched workflow "${activeWorkflow.name}" on branch ${branch}`);
-      } catch (dispatchErr) {
-        this.log.warn(`Dispatch failed (may not support dispatch): ${dispatchErr.message}`);
-        this.log.info("Waiting for auto-triggered workflow run instead...");
+      this.log.info(`Found ${ci.name}: ${result.name}${result.detail ? ` (${result.detail})` : ""}`);
+      if (result.workflows) {
+        for (const w of result.workflows) {
+          if (w.missing) this.log.warn(`Required workflow "${w.name}" not found — counted as failed`);
+          else if (w.dispatched) this.log.info(`Triggered "${w.name}" on branch ${branch}`);
+          else if (w.dispatchError) this.log.warn(`Trigger of "${w.name}" failed — waiting for a push-triggered run: ${w.dispatchError}`);
+          else this.log.info(`"${w.name}": ${w.reason}`);
+          if (w.ignoredInputs) this.log.warn(`"${w.name}" does not declare input(s) ${w.ignoredInputs.join(", ")} — not sent`);
+        }
+      } else if (result.dispatched) {
+        this.log.info(`Triggered "${result.name}" on branch ${branch}`);
+      } else if (result.dispatchError) {
+        this.log.warn(`Trigger failed (may not support it): ${result.dispatchError}`);
+        this.log.info("Waiting for push-triggered runs instead...");
       }
 
       broadcast(this.runId, {
         event: "ci_triggered",
         agent: "Monitor",
-        message: `Triggered ${activeWorkflow.name}`,
-        data: { workflow: activeWorkflow.name },
+        message: `Triggered ${result.name}`,
+        data: {
+          provider: ci.name,
+          workflow: result.name,
+          ...(result.workflows && { workflows: result.workflows.map(({ name, dispatched }) => ({ name, dispatched })) }),
+        },
       });
 
-      return { triggered: true, workflowId: activeWorkflow.id, workflowName: activeWorkflow.name };
+      return result;
     } catch (err) {
-      this.log.error(`Failed to trigger workflow: ${err.message}`);
+      this.signal?.throwIfAborted();
+      this.log.error(`Failed to trigger CI: ${err.message}`);
       return { triggered: false, reason: err.message };
     }
   }
 
   /**
-   * Poll the latest workflow run on a branch until it completes.
+   * Poll every CI run for `headSha` — the exact commit the Committer
+   * pushed — until all of them complete, then aggregate their
+   * conclusions. Runs for older commits on the branch are never considered.
+   * @returns {Promise<{ passed: boolean | null, conclusion: string, url: string | null,
+   *   runId: number | null, headSha: string, runs: object[], workflows: object[] }>}
+   *   `runs` — one entry per workflow run / check suite / pipeline / build;
+   *   `workflows` — their results by name
    */
-  async pollWorkflowStatus(owner, repo, branch, timeoutMs = 300_000) {
-    this.log.info(`Polling CI/CD status on branch ${branch} (timeout: ${timeoutMs / 1000}s)`);
-    broadcast(this.runId, { event: "ci_poll_start", agent: "Monitor", message: "Monitoring CI/CD pipeline..." });
+  async pollWorkflowStatus(ci, branch, headSha, timeoutMs = 300_000) {
+    const short = headSha.slice(0, 7);
+    // With webhooks, re-check only when an event for this commit arrives;
+    // slow polling remains as a fallback for lost deliveries
+    const events = ci.webhooks && webhooksEnabled() ? subscribeCIEvents(headSha) : null;
+    const pollInterval = events ? WEBHOOK_FALLBACK_POLL_MS : 10_000;
+    this.log.info(`${events ? "Waiting on webhooks" : "Polling"} for CI/CD status of ${short} (timeout: ${timeoutMs / 1000}s)`);
+    broadcast(this.runId, { event: "ci_poll_start", agent: "Monitor", message: `Monitoring CI/CD for ${short}...` });
 
     const startTime = Date.now();
-    const pollInterval = 10_000; // 10 seconds
 
-    // Wait a bit for the run to appear
-    await sleep(5000);
+    try {
+      // Wait a bit for the runs to appear — unless webhooks will say when
+      if (!events) await sleep(5000, this.signal);
 
-    while (Date.now() - startTime < timeoutMs) {
-      try {
-        const { data: { workflow_runs: runs } } = await this.octokit.actions.listWorkflowRunsForRepo({
-          owner,
-          repo,
-          branch,
-          per_page: 1,
-          sort: "created",
-          direction: "desc",
-        });
+      let runs = [];
+      while (Date.now() - startTime < timeoutMs) {
+        this.signal?.throwIfAborted();
+        try {
+          runs = await ci.listRuns({ branch, headSha });
 
-        if (runs.length === 0) {
-          this.log.info("No workflow runs found yet, waiting...");
-          await sleep(pollInterval);
-          continue;
-        }
+          if (runs.length === 0) {
+            this.log.info(`No workflow runs for ${short} yet, waiting...`);
+            await this.waitForUpdate(events, pollInterval);
+            continue;
+          }
 
-        const latestRun = runs[0];
-        const { status, conclusion, html_url, id } = latestRun;
+          const pending = runs.filter((r) => r.status !== "completed");
+          this.log.info(`${short}: ${runs.length - pending.length}/${runs.length} run(s) completed`);
 
-        this.log.info(`Run #${id}: status=${status}, conclusion=${conclusion || "pending"}`);
+          broadcast(this.runId, {
+            event: "ci_status",
+            agent: "Monitor",
+            message: pending.length > 0
+              ? `Pipeline: ${pending.length} of ${runs.length} run(s) in progress`
+              : `Pipeline: completed — ${aggregateConclusion(runs)}`,
+            data: { headSha, runs },
+          });
 
-        broadcast(this.runId, {
-          event: "ci_status",
-          agent: "Monitor",
-          message: `Pipeline: ${status}${conclusion ? ` — ${conclusion}` : ""}`,
-          data: { status, conclusion, url: html_url },
-        });
+          if (pending.length === 0) {
+            const conclusion = aggregateConclusion(runs);
+            const passed = conclusion === "success";
+            const deciding = runs.find((r) => !isPassing(r.conclusion)) || runs[0];
+            const workflows = summarizeWorkflows(runs);
+            this.log.info(`CI/CD completed for ${short}: ${conclusion} ${passed ? "✓" : "✗"}`);
+            for (const w of workflows) this.log.info(`  ${isPassing(w.conclusion) ? "✓" : "✗"} ${w.name}: ${w.conclusion}`);
+            appendLog(this.runId, { agent: "Monitor", event: "ci_done", conclusion, headSha, runs, workflows });
 
-        if (status === "completed") {
-          const passed = conclusion === "success";
-          this.log.info(`CI/CD completed: ${conclusion} ${passed ? "✓" : "✗"}`);
-          appendLog(this.runId, { agent: "Monitor", event: "ci_done", conclusion, url: html_url });
-
-          return {
-            passed,
-            conclusion,
-            url: html_url,
-            runId: id,
-          };
-        }
+            return {
+              passed,
+              conclusion,
+              url: deciding.url,
+              runId: deciding.id,
+              headSha,
+              runs,
+              workflows,
+            };
+          }
 
-        await sleep(pollInterval);
-      } catch (err) {
-        this.log.error(`Polling error: ${err.message}`);
-        await sleep(pollInterval);
+          await this.waitForUpdate(events, pollInterval);
+        } catch (err) {
+          this.signal?.throwIfAborted();
+          this.log.error(`Polling error: ${err.message}`);
+          await this.waitForUpdate(events, pollInterval);
+        }
       }
+
+      this.log.warn(`CI/CD polling timed out for ${short}`);
+      return { passed: false, conclusion: "timeout", url: null, runId: null, headSha, runs, workflows: summarizeWorkflows(runs) };
+    } finally {
+      events?.close();
+    }
+  }
+
+  /** Sleep `ms`, or — with webhooks — until an event for the commit arrives */
+  async waitForUpdate(events, ms) {
+    if (!events) return sleep(ms, this.signal);
+
+    const received = await events.next(ms, this.signal);
+    for (const e of received) {
+      this.log.info(`Webhook: ${e.kind} "${e.name}" ${e.status}${e.conclusion ? ` — ${e.conclusion}` : ""}`);
     }
+    if (received.length === 0) this.log.info("No webhook received — falling back to polling");
+  }
 
-    this.log.warn("CI/CD polling timed out");
-    return { passed: false, conclusion: "timeout", url: null, runId: null };
+  /**
+   * Logs of the failed jobs in failed runs, each trimmed to its last
+   * MAX_LOG_CHARS and with secrets redacted.
+   * @returns {Promise<Array<{ workflow: string, job: string, step: string | null, url: string, log: string }>>}
+   */
+  async fetchFailedJobLogs(ci, runs) {
+    const jobs = await ci.fetchFailedLogs(runs, { limit: MAX_FAILED_JOBS, isPassing });
+
+    const failures = [];
+    for (const { error, log, ...job } of jobs) {
+      if (error) {
+        this.log.warn(`Could not download logs for job "${job.job}": ${error}`);
+        continue;
+      }
+      const tail = log.length > MAX_LOG_CHARS ? `…${log.slice(-MAX_LOG_CHARS)}` : log;
+      failures.push({ ...job, log: redact(tail) });
+    }
+    return failures;
   }
 
   /**
-   * Full monitor pipeline: trigger → poll → return result.
+   * Full monitor pipeline: trigger → poll the pushed commit → return result.
+   * A failed result carries `failures` — failed jobs' logs for the Fixer,
+   * or, when none could be collected, the failed runs' outcomes. Empty
+   * `failures` means no run completed failing (e.g. a timeout) — inconclusive.
    */
-  async monitorCI(owner, repo, branch) {
-    const triggerResult = await this.triggerWorkflow(owner, repo, branch);
+  async monitorCI(ci, branch, headSha) {
+    const triggerResult = await this.triggerWorkflow(ci, branch, headSha);
 
     if (!triggerResult.triggered) {
       this.log.warn(`Workflow not triggered: ${triggerResult.reason}. Assuming sandbox tests are primary.`);
-      return { passed: null, conclusion: "no_ci", url: null };
+      return { passed: null, conclusion: "no_ci", url: null, headSha, runs: [], workflows: [], failures: [] };
     }
 
-    return await this.pollWorkflowStatus(owner, repo, branch);
+    const result = await this.pollWorkflowStatus(ci, branch, headSha);
+    result.failures = [];
+    if (result.passed === false && result.conclusion !== "timeout") {
+      try {
+        result.failures = await this.fetchFailedJobLogs(ci, result.runs);
+        this.log.info(`Collected logs from ${result.failures.length} failed job(s)`);
+        broadcast(this.runId, {
+          event: "ci_logs",
+          agent: "Monitor",
+          message: `Collected logs from ${result.failures.length} failed CI job(s)`,
+          data: { jobs: result.failures.map(({ workflow, job, step, url }) => ({ workflow, job, step, url })) },
+        });
+      } catch (err) {
+        this.signal?.throwIfAborted();
+        this.log.warn(`Could not collect CI job logs: ${err.message}`);
+      }
+    }
+    // Third-party checks, unreadable logs — still a failure to act on
+    if (result.passed === false && result.failures.length === 0) {
+      result.failures = describeFailures(result.runs);
+    }
+    return result;
   }
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/** success / neutral / skipped count as passing; anything else fails */
+function isPassing(conclusion) {
+  return ["success", "neutral", "skipped"].includes(conclusion);
+}
+
+/** One conclusion for a set of completed runs: the first failing one, else success */
+function aggregateConclusion(runs) {
+  const failing = runs.find((r) => !isPassing(r.conclusion));
+  return failing ? failing.conclusion || "failure" : "success";
+}
+
+/**
+ * One result per workflow / app name — e.g. a push and a dispatch run of
+ * the same workflow. Unfinished ones report their status as conclusion.
+ */
+function summarizeWorkflows(runs) {
+  const byName = new Map();
+  for (const run of runs) byName.set(run.name, [...(byName.get(run.name) || []), run]);
+
+  return [...byName].map(([name, group]) => {
+    const pending = group.find((r) => r.status !== "completed");
+    const deciding = pending || group.find((r) => !isPassing(r.conclusion)) || group[0];
+    return { name, conclusion: pending ? pending.status : aggregateConclusion(group), url: deciding.url };
+  });
+}
+
+/** Fixer input for completed, failed runs without job logs */
+function describeFailures(runs) {
+  return runs
+    .filter((r) => r.status === "completed" && !isPassing(r.conclusion))
+    .map(({ name, conclusion, url }) => ({
+      workflow: name,
+      job: "(no job logs)",
+      step: null,
+      url,
+      log: `Concluded "${conclusion}"; no job logs available${url ? ` — ${url}` : ""}`,
+    }));
+}
+
+function sleep(ms, signal) {
+  return delay(ms, undefined, { signal });
 }
@@ -4,7 +4,10 @@
  *  ─ Chains agents in the main loop:
  *    Analyze → Fix (if failed) → Commit/Push → Monitor → Repeat
  *    until tests pass or RETRY_LIMIT is reached.
- *    Generates the final results.json output.
+ *    Iterations that increase the failure count are reverted; the loop
+ *    stops as STALLED when the same errors get the same fixes again.
+ *    Generates the final results.json output and, when enabled, opens
+ *    or updates a pull request summarising it.
  * ═══════════════════════════════════════════════════════════════════════
  */
 
@@ -14,32 +17,59 @@ import { v4 as uuidv4 } from "uuid";
 
 import { AnalyzerAgent } from "./analyzer.js";
 import { FixerAgent } from "./fixer.js";
-import { CommitterAgent } from "./committer.js";
+import { CommitterAgent, PushConflictError } from "./committer.js";
+import { resolveSigning, SigningError } from "../utils/commitSigning.js";
 import { MonitorAgent } from "./monitor.js";
 
 import { createRunLogger } from "../utils/logger.js";
-import { generateBranchName, parseRepoUrl } from "../utils/helpers.js";
+import { generateBranchName, fingerprint } from "../utils/helpers.js";
+import { parseRepoSource } from "../utils/repoSource.js";
 import { computeScore, formatDuration } from "../utils/scoring.js";
+import { countFailures, parseErrorLog } from "../utils/classifier.js";
 import { broadcast } from "../ws/socket.js";
-import { updateRun, appendLog } from "../store/runStore.js";
+import { updateRun, appendLog, saveCheckpoint } from "../store/runStore.js";
 import { runInDocker } from "../utils/docker.js";
+import { redact, redactDeep } from "../utils/redact.js";
+import { renderPullRequest } from "../utils/prSummary.js";
+import { getHostAdapter } from "../hosts/index.js";
+import { createCIProvider } from "../ci/index.js";
 
 const RETRY_LIMIT = parseInt(process.env.RETRY_LIMIT || "5", 10);
+const AUTO_PULL_REQUEST = process.env.AUTO_PULL_REQUEST === "true";
+
+/** Final pipeline status → run store status */
+const RUN_STATUS = {
+  PASSED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  INTERRUPTED: "interrupted",
+};
+
+/** Checkpoint stages taken after fixes are applied but before the retest */
+const MID_ITERATION_STAGES = ["fixes_applied", "committed"];
 
 export class Orchestrator {
-  constructor(runId, { repoUrl, teamName, leaderName }) {
+  constructor(runId, { repoUrl, baseRef = null, teamName, leaderName, llm, commit = null, workflows = null }) {
     this.runId = runId;
     this.repoUrl = repoUrl;
+    this.baseRef = baseRef;
+    this.commitOverrides = commit;   // per-run `commit` settings from the API
+    this.workflowOverrides = workflows; // per-run required CI workflows
     this.teamName = teamName;
     this.leaderName = leaderName;
     this.branchName = generateBranchName(teamName, leaderName);
     this.log = createRunLogger(runId, "Orchestrator");
 
+    // Cancellation — aborted via cancel(), shared with every agent
+    this.abortController = new AbortController();
+    this.signal = this.abortController.signal;
+
     // Agents
-    this.analyzer = new AnalyzerAgent(runId);
-    this.fixer = new FixerAgent(runId);
-    this.committer = new CommitterAgent(runId);
-    this.monitor = new MonitorAgent(runId);
+    const agentOpts = { signal: this.signal };
+    this.analyzer = new AnalyzerAgent(runId, agentOpts);
+    this.fixer = new FixerAgent(runId, { ...agentOpts, llm });
+    this.committer = new CommitterAgent(runId, agentOpts);
+    this.monitor = new MonitorAgent(runId, agentOpts);
 
     // Tracking
     this.startTime = Date.now();
@@ -49,185 +79,608 @@ export class Orchestrator {
     this.totalFailures = 0;
     this.errorLogs = [];           // raw error output per iteration
     this.repoStats = {};           // language, files, test files, etc.
+    this.retryLimit = RETRY_LIMIT; // overridden by .pipelinesage.yml
+    this.repoConfig = {};          // validated .pipelinesage.yml
+    this.configErrors = [];        // .pipelinesage.yml validation errors
     this.iterationDetails = [];    // detailed info per iteration
+
+    // Loop state — persisted by checkpoint(), reloaded by restore()
+    this.repoDir = null;
+    this.runtime = null;
+    this.iteration = 0;
+    this.currentOutput = "";
+    this.failureCount = 0;         // failing tests in currentOutput
+    this.finalStatus = null;
+    this.pendingIteration = null;  // fixes applied, not yet retested
+    this.ciFailures = [];          // failed CI jobs' logs from the last push — fed to the Fixer
+    this.squashBase = null;        // commits after this are the run's (moves past rebased-in remote work)
+    this.signing = null;           // resolveSigning() — re-resolved from env on resume
+    this.commits = [];             // the run's commits with signature status, set by finish()
+    this.seenFingerprints = [];    // error-set + fix-set fingerprints per iteration
+    this.statusReason = null;
+    this.resumeStage = null;
+  }
+
+  /**
+   * Request cancellation of an in-flight run.
+   * The pipeline stops at the next abort check and finishes as CANCELLED.
+   */
+  cancel(reason = "Cancelled by user") {
+    if (this.signal.aborted) return false;
+    this.log.warn(`Cancellation requested: ${reason}`);
+    this.abortController.abort(new Error(reason));
+    return true;
   }
 
   /**
    * Run the full autonomous pipeline.
+   * When restore() was called first, picks up from the saved checkpoint
+   * instead of cloning and analyzing again.
    */
   async run() {
-    this.log.info("═══ Starting autonomous DevOps pipeline ═══");
-    this.log.info(`Repo: ${this.repoUrl}`);
+    const resumeStage = this.resumeStage;
+    this.resumeStage = null;
+
+    this.log.info(`═══ ${resumeStage ? "Resuming" : "Starting"} autonomous DevOps pipeline ═══`);
+    this.log.info(`Repo: ${this.repoUrl}${this.baseRef ? ` @ ${this.baseRef}` : ""}`);
     this.log.info(`Team: ${this.teamName} | Leader: ${this.leaderName}`);
     this.log.info(`Branch: ${this.branchName}`);
-    this.log.info(`Retry limit: ${RETRY_LIMIT}`);
+    this.log.info(`Retry limit: ${this.retryLimit}`);
+    if (resumeStage) this.log.info(`Checkpoint: ${resumeStage} (iteration ${this.iteration})`);
 
     broadcast(this.runId, {
-      event: "pipeline_start",
+      event: resumeStage ? "pipeline_resumed" : "pipeline_start",
       agent: "Orchestrator",
-      message: "Autonomous pipeline started",
-      data: { repoUrl: this.repoUrl, branch: this.branchName, retryLimit: RETRY_LIMIT },
+      message: resumeStage
+        ? `Pipeline resumed from checkpoint (${resumeStage}, iteration ${this.iteration})`
+        : "Autonomous pipeline started",
+      data: { repoUrl: this.repoUrl, baseRef: this.baseRef, branch: this.branchName, retryLimit: this.retryLimit },
     });
 
-    const { owner, repo } = parseRepoUrl(this.repoUrl);
-    let repoDir = null;
-    let finalStatus = "FAILED";
-    let iteration = 0;
+    const source = parseRepoSource(this.repoUrl);
 
     try {
-      // ─── Initial Analysis ───────────────────────────────────────
-      const analysisResult = await this.analyzer.analyze(this.repoUrl);
-      repoDir = analysisResult.repoDir;
-
-      // Store repo stats
-      this.repoStats = {
-        language: analysisResult.language,
-        runtime: analysisResult.runtime?.image || "native",
-        testCommand: analysisResult.runtime?.testCmd || "unknown",
-        testFilesFound: analysisResult.testFiles?.length || 0,
-        testFiles: analysisResult.testFiles || [],
-      };
-
-      this.addTimeline(0, analysisResult.passed ? "PASSED" : "FAILED");
-
-      if (analysisResult.passed) {
-        this.log.info("Tests passed on first run — no fixes needed!");
-        finalStatus = "PASSED";
-      } else {
-        // ─── Fix Loop ──────────────────────────────────────────────
-        let currentOutput = analysisResult.output;
-        this.totalFailures++;
-        this.errorLogs.push({ iteration: 0, output: currentOutput?.slice(-5000) || "" });
+      if (!resumeStage) {
+        // ─── Initial Analysis ───────────────────────────────────────
+        const analysisResult = await this.analyzer.analyze(source.url, { baseRef: this.baseRef });
+        this.repoDir = analysisResult.repoDir;
+        this.runtime = analysisResult.runtime;
+
+        // Per-repo config (.pipelinesage.yml)
+        this.repoConfig = analysisResult.config || {};
+        this.configErrors = analysisResult.configErrors || [];
+        if (this.repoConfig.retryLimit) {
+          this.retryLimit = this.repoConfig.retryLimit;
+          this.log.info(`Retry limit overridden by repo config: ${this.retryLimit}`);
+        }
+
+        // Store repo stats
+        this.repoStats = {
+          baseRef: analysisResult.baseRef,
+          baseSha: analysisResult.baseSha,
+          language: analysisResult.language,
+          runtime: analysisResult.runtime?.image || "native",
+          testCommand: analysisResult.runtime?.testCmd || "unknown",
+          testFilesFound: analysisResult.testFiles?.length || 0,
+          testFiles: analysisResult.testFiles || [],
+          configFile: analysisResult.configFile || null,
+          host: source.host,
+          hostAdapter: source.adapter,
+        };
+
+        this.addTimeline(0, analysisResult.passed ? "PASSED" : "FAILED");
+
+        if (analysisResult.passed) {
+          this.log.info("Tests passed on first run — no fixes needed!");
+          this.finalStatus = "PASSED";
+        } else {
+          this.currentOutput = analysisResult.output;
+          this.failureCount = countFailures(this.currentOutput);
+          this.totalFailures++;
+          this.errorLogs.push({ iteration: 0, output: this.currentOutput?.slice(-5000) || "" });
+        }
+
+        this.checkpoint("analyzed");
+      }
+
+      if (!this.finalStatus) {
+        // Fail before touching the branch if signing is required but impossible
+        this.signing = resolveSigning(this.commitConfig.signing);
+        if (this.signing) this.log.info(`Signing commits (${this.signing.format})`);
+
+        // CI provider from the repo config (or the host's default)
+        const ci = createCIProvider(this.ciConfig, source, { signal: this.signal });
+        this.repoStats.ciProvider = ci?.name || null;
+        this.log.info(ci ? `CI provider: ${ci.name}` : `Host: ${source.host || "local"} — no CI provider, CI monitoring disabled`);
+        if (ci && this.ciConfig.workflows) {
+          const names = this.ciConfig.workflows.map((w) => w.workflow).join(", ");
+          if (ci.name === "github-actions") this.log.info(`Required workflows: ${names}`);
+          else this.log.warn(`Required workflows (${names}) are GitHub Actions only — ignored for ${ci.name}`);
+        }
 
-        for (iteration = 1; iteration <= RETRY_LIMIT; iteration++) {
-          this.log.info(`═══ Iteration ${iteration}/${RETRY_LIMIT} ═══`);
+        // ─── Fix Loop ──────────────────────────────────────────────
+        // A checkpoint taken mid-iteration resumes that iteration at the
+        // step after the last completed stage; otherwise start the next one.
+        let resumeAt = MID_ITERATION_STAGES.includes(resumeStage) ? resumeStage : null;
+        const retryLimit = this.retryLimit;
+
+        for (this.iteration = resumeAt ? this.iteration : this.iteration + 1; this.iteration <= retryLimit; this.iteration++) {
+          const iteration = this.iteration;
+          this.signal.throwIfAborted();
+          this.log.info(`═══ Iteration ${iteration}/${retryLimit} ═══`);
           broadcast(this.runId, {
             event: "iteration_start",
             agent: "Orchestrator",
-            message: `Iteration ${iteration}/${RETRY_LIMIT}`,
-            data: { iteration, maxIterations: RETRY_LIMIT },
-            progress: Math.round((iteration / RETRY_LIMIT) * 100),
+            message: `Iteration ${iteration}/${retryLimit}`,
+            data: { iteration, maxIterations: retryLimit },
+            progress: Math.round((iteration / retryLimit) * 100),
           });
 
-          const iterStart = Date.now();
-
-          // 1. Generate fixes from error output
-          const fixes = await this.fixer.generateFixes(currentOutput, repoDir);
+          if (!resumeAt) {
+            const iterStart = Date.now();
 
-          if (fixes.length === 0) {
-            this.log.warn("No fixes generated — cannot proceed");
-            this.addTimeline(iteration, "NO_FIXES");
-            this.iterationDetails.push({
-              iteration, status: "NO_FIXES", fixesGenerated: 0, fixesApplied: 0,
-              durationMs: Date.now() - iterStart,
+            // 1. Generate fixes from error output (plus last iteration's syntax rejections)
+            const rejectedFixes = this.allFixes.filter((f) => f.iteration === iteration - 1 && f.status === "Rejected");
+            const fixes = await this.fixer.generateFixes(this.currentOutput, this.repoDir, {
+              rejectedFixes, ciFailures: this.ciFailures,
             });
-            break;
-          }
 
-          // 2. Apply fixes
-          const appliedFixes = await this.fixer.applyFixes(fixes, repoDir);
-          this.allFixes.push(...appliedFixes);
-
-          const fixedCount = appliedFixes.filter((f) => f.status === "Fixed").length;
-          if (fixedCount === 0) {
-            this.log.warn("No fixes were successfully applied");
-            this.addTimeline(iteration, "APPLY_FAILED");
-            this.iterationDetails.push({
-              iteration, status: "APPLY_FAILED", fixesGenerated: fixes.length, fixesApplied: 0,
-              durationMs: Date.now() - iterStart,
+            if (fixes.length === 0) {
+              this.log.warn("No fixes generated — cannot proceed");
+              this.addTimeline(iteration, "NO_FIXES");
+              this.iterationDetails.push({
+                iteration, status: "NO_FIXES", fixesGenerated: 0, fixesApplied: 0,
+                durationMs: Date.now() - iterStart,
+              });
+              break;
+            }
+
+            // No-progress guard — same errors answered with the same patches
+            const iterationFp = this.fingerprintIteration(fixes);
+            const seenAt = this.seenFingerprints.find((s) => s.fingerprint === iterationFp);
+            if (seenAt) {
+              this.log.warn(`No progress — iteration ${iteration} repeats iteration ${seenAt.iteration}; stopping`);
+              broadcast(this.runId, {
+                event: "pipeline_stalled",
+                agent: "Orchestrator",
+                message: `Same errors and fixes as iteration ${seenAt.iteration} — stopping early`,
+                data: { iteration, repeatsIteration: seenAt.iteration },
+              });
+              this.addTimeline(iteration, "STALLED");
+              this.iterationDetails.push({
+                iteration, status: "STALLED", fixesGenerated: fixes.length, fixesApplied: 0,
+                repeatsIteration: seenAt.iteration,
+                durationMs: Date.now() - iterStart,
+              });
+              break;
+            }
+            this.seenFingerprints.push({ iteration, fingerprint: iterationFp });
+
+            // 2. Apply fixes (remember HEAD so a regression can be reverted)
+            this.signal.throwIfAborted();
+            const baseSha = await this.committer.getHead(this.repoDir);
+            const fixStart = this.allFixes.length;
+            const appliedFixes = await this.fixer.applyFixes(fixes, this.repoDir, {
+              allowedPaths: this.repoConfig.fixer?.paths,
+              deniedPaths: this.repoConfig.fixer?.deny,
+              runtime: this.runtime,
+              language: this.repoStats.language,
             });
-            break;
+            this.allFixes.push(...appliedFixes.map((f) => ({ ...f, iteration })));
+
+            const fixedCount = appliedFixes.filter((f) => f.status === "Fixed").length;
+            const rejectedCount = appliedFixes.filter((f) => f.status === "Rejected").length;
+            if (fixedCount === 0 && rejectedCount > 0) {
+              // Nothing parsed — retry with the parse errors as feedback
+              this.log.warn(`All applicable fixes rejected by syntax check (${rejectedCount}) — retrying`);
+              this.addTimeline(iteration, "REJECTED");
+              this.iterationDetails.push({
+                iteration, status: "REJECTED", fixesGenerated: fixes.length, fixesApplied: 0,
+                fixesRejected: rejectedCount,
+                durationMs: Date.now() - iterStart,
+              });
+              this.checkpoint("retested");
+              continue;
+            }
+            if (fixedCount === 0) {
+              this.log.warn("No fixes were successfully applied");
+              this.addTimeline(iteration, "APPLY_FAILED");
+              this.iterationDetails.push({
+                iteration, status: "APPLY_FAILED", fixesGenerated: fixes.length, fixesApplied: 0,
+                durationMs: Date.now() - iterStart,
+              });
+              break;
+            }
+
+            this.pendingIteration = {
+              iterStart, fixesGenerated: fixes.length, fixedCount, appliedFixes, baseSha, fixStart,
+            };
+            this.checkpoint("fixes_applied");
           }
 
-          // 3. Commit and push (graceful — don't crash pipeline on push failure)
-          try {
-            const commits = await this.committer.commitAndPush(repoDir, appliedFixes, this.branchName);
-            this.totalCommits += commits;
-          } catch (pushErr) {
-            this.log.warn(`Commit/Push failed (non-fatal): ${pushErr.message}`);
-            // Still commit locally even if push fails
+          const { iterStart, fixesGenerated, fixedCount, appliedFixes, fixStart } = this.pendingIteration;
+
+          if (resumeAt !== "committed") {
+            // 3. Commit and push (graceful — don't crash pipeline on push failure)
+            this.signal.throwIfAborted();
+            const commitOpts = {
+              ...this.commitConfig,
+              signing: this.signing,
+              iteration,
+              base: this.repoStats.baseSha,
+              pushMode: this.repoConfig.push?.mode,
+            };
             try {
-              await this.committer.ensureBranch(repoDir, this.branchName);
-              const localCommits = await this.committer.commitFixes(repoDir, appliedFixes, this.branchName);
-              this.totalCommits += localCommits;
-              this.log.info(`Committed ${localCommits} fix(es) locally (push skipped)`);
-            } catch { /* already tried */ }
-            broadcast(this.runId, {
-              event: "push_failed",
-              agent: "Committer",
-              message: `Push failed: ${pushErr.message.split("\n")[0]}. Fixes applied locally.`,
-            });
+              const { commitCount, push } = await this.committer.commitAndPush(this.repoDir, appliedFixes, this.branchName, commitOpts);
+              this.totalCommits += commitCount;
+              // The exact commit CI will build — what the Monitor waits on
+              this.pendingIteration.pushedSha = push?.headSha ?? null;
+              // Rebased onto remote work — only commits after its tip are this iteration's
+              if (push?.integrated && push.mode === "rebase") {
+                this.pendingIteration.baseSha = push.remoteSha;
+                this.squashBase = push.remoteSha;
+              }
+            } catch (pushErr) {
+              this.signal.throwIfAborted();
+              if (pushErr instanceof SigningError) throw pushErr;
+              if (pushErr.commitCount !== undefined) {
+                this.totalCommits += pushErr.commitCount;
+              } else {
+                // Still commit locally even if push fails
+                try {
+                  await this.committer.ensureBranch(this.repoDir, this.branchName, commitOpts.base);
+                  const localCommits = await this.committer.commitFixes(this.repoDir, appliedFixes, this.branchName, commitOpts);
+                  this.totalCommits += localCommits;
+                  this.log.info(`Committed ${localCommits} fix(es) locally (push skipped)`);
+                } catch { /* already tried */ }
+              }
+
+              if (pushErr instanceof PushConflictError) {
+                this.log.warn(`Push conflict (non-fatal): ${pushErr.message}`);
+                this.addTimeline(iteration, "PUSH_CONFLICT");
+                broadcast(this.runId, {
+                  event: "push_conflict",
+                  agent: "Committer",
+                  message: `${pushErr.message.split("\n")[0]}. Fixes kept locally; remote branch untouched.`,
+                  data: { mode: pushErr.mode },
+                });
+              } else {
+                this.log.warn(`Commit/Push failed (non-fatal): ${pushErr.message}`);
+                broadcast(this.runId, {
+                  event: "push_failed",
+                  agent: "Committer",
+                  message: `Push failed: ${pushErr.message.split("\n")[0]}. Fixes applied locally.`,
+                });
+              }
+            }
+            this.checkpoint("committed");
           }
+          resumeAt = null;
+          const { baseSha, pushedSha } = this.pendingIteration;
 
           // 4. Re-run tests in sandbox
-          const retestResult = await this.analyzer.runTests(repoDir, analysisResult.runtime);
+          const retestResult = await this.analyzer.runTests(this.repoDir, this.runtime);
+          const failuresBefore = this.failureCount;
+          const failuresAfter = retestResult.passed ? 0 : countFailures(retestResult.output);
+          let reverted = false;
+
+          // CI results below are for this iteration's push only
+          this.ciFailures = [];
+          let ciResult = null;
+          let ciOnly = false;
 
           if (retestResult.passed) {
             this.log.info(`✓ Tests passed after iteration ${iteration}!`);
-            this.addTimeline(iteration, "PASSED");
-            finalStatus = "PASSED";
-            break;
+            // CI can still fail where the sandbox passes (lint steps, env, matrix versions)
+            if (ci && pushedSha) ciResult = await this.monitorPushedCommit(iteration, ci, pushedSha);
+            // Only a completed, failing run counts — timeouts and missing runs are inconclusive
+            ciOnly = ciResult?.passed === false && this.ciFailures.length > 0;
+            if (!ciOnly) {
+              if (ciResult?.passed === false) this.log.warn(`CI inconclusive (${ciResult.conclusion}) — the sandbox result stands`);
+              this.addTimeline(iteration, "PASSED", ciResult && { workflows: ciResult.workflows });
+              this.finalStatus = "PASSED";
+              this.pendingIteration = null;
+              this.checkpoint("retested");
+              break;
+            }
+            this.log.warn(`✗ Sandbox passes but ${this.ciFailures.length} CI job(s) failed — ${retryLimit - iteration} retries left`);
+            this.currentOutput = "The local test run passes; only the CI jobs below fail.";
+            // The regression baseline stays in sandbox tests; CI jobs are this.ciFailures
+            this.failureCount = failuresAfter;
+            this.addTimeline(iteration, "CI_FAILED", { workflows: ciResult.workflows });
           } else {
             this.totalFailures++;
-            currentOutput = retestResult.output;
-            this.errorLogs.push({ iteration, output: currentOutput?.slice(-5000) || "" });
-            this.addTimeline(iteration, "FAILED");
-            this.log.info(`✗ Tests still failing — ${RETRY_LIMIT - iteration} retries left`);
+            this.errorLogs.push({ iteration, output: retestResult.output?.slice(-5000) || "" });
+
+            if (failuresAfter > failuresBefore) {
+              // Regression guard — keep the previous output, drop this iteration's fixes
+              await this.revertIteration(iteration, baseSha, fixStart, failuresBefore, failuresAfter);
+              reverted = true;
+            } else {
+              this.currentOutput = retestResult.output;
+              this.failureCount = failuresAfter;
+              this.addTimeline(iteration, "FAILED");
+            }
+            this.log.info(`✗ Tests still failing — ${retryLimit - iteration} retries left`);
           }
 
           this.iterationDetails.push({
             iteration,
-            status: retestResult.passed ? "PASSED" : "FAILED",
-            fixesGenerated: fixes.length,
+            status: reverted ? "REVERTED" : ciOnly ? "CI_FAILED" : "FAILED",
+            fixesGenerated,
             fixesApplied: fixedCount,
+            failuresBefore,
+            failuresAfter,
             durationMs: Date.now() - iterStart,
+            ...(ciResult && { ci: summarizeCI(ciResult, pushedSha) }),
           });
+          this.pendingIteration = null;
+          this.checkpoint("retested");
+
+          // Already monitored, or nothing new to monitor — the branch is back where it started
+          if (ciOnly || reverted) continue;
+          // Without a CI provider the retest is the last word
+          if (!ci) continue;
+          if (!pushedSha) {
+            this.log.info("Nothing pushed this iteration — CI not monitored");
+            continue;
+          }
 
-          // 5. Monitor CI/CD (non-blocking, best-effort)
-          try {
-            const ciResult = await this.monitor.monitorCI(owner, repo, this.branchName);
-            if (ciResult.passed) {
-              this.log.info("CI/CD reports success!");
-              finalStatus = "PASSED";
-              this.addTimeline(iteration, "CI_PASSED");
-              break;
-            }
-          } catch (err) {
-            this.log.warn(`CI monitoring skipped: ${err.message}`);
+          // 5. Monitor CI/CD for the pushed commit (non-blocking, best-effort)
+          ciResult = await this.monitorPushedCommit(iteration, ci, pushedSha);
+          if (ciResult) this.iterationDetails.at(-1).ci = summarizeCI(ciResult, pushedSha);
+          if (ciResult?.passed) {
+            this.log.info("CI/CD reports success!");
+            this.finalStatus = "PASSED";
+            this.addTimeline(iteration, "CI_PASSED", { workflows: ciResult.workflows });
+            this.checkpoint("monitored");
+            break;
           }
+          // Sandbox still failing — the CI outcome goes on that FAILED entry
+          if (ciResult?.workflows?.length) this.timeline.at(-1).workflows = ciResult.workflows;
+          this.checkpoint("monitored");
         }
+
+        if (this.commitConfig.grouping === "squash") await this.squashCommits();
+      }
+    } catch (err) {
+      if (this.signal.aborted) {
+        const reason = this.signal.reason?.message || "Cancelled";
+        this.log.warn(`Pipeline cancelled: ${reason}`);
+        this.finalStatus = "CANCELLED";
+        this.addTimeline(this.iteration, "CANCELLED");
+        appendLog(this.runId, { agent: "Orchestrator", event: "cancelled", message: reason });
+      } else {
+        if (err instanceof SigningError) this.statusReason = err.message;
+        this.log.error(`Pipeline failed with error: ${err.message}`);
+        this.addTimeline(this.iteration, "ERROR");
+        appendLog(this.runId, { agent: "Orchestrator", event: "error", message: err.message });
       }
+    }
+
+    return this.finish(this.finalStatus || "FAILED");
+  }
+
+  /**
+   * Open (or update) the fix-branch PR against the base branch, when
+   * enabled via `pullRequest` in .pipelinesage.yml or AUTO_PULL_REQUEST.
+   * Non-fatal — a failure is recorded as { error }.
+   * @returns {Promise<object | null>} null when skipped
+   */
+  async openPullRequest(results) {
+    const prConfig = { enabled: AUTO_PULL_REQUEST, draft: false, ...this.repoConfig.pullRequest };
+    if (!prConfig.enabled || results.totalFixes === 0 || this.totalCommits === 0) return null;
+
+    const source = parseRepoSource(this.repoUrl);
+    const host = getHostAdapter(source.adapter);
+    if (!host) {
+      this.log.info(`Pull request skipped — no host adapter for ${source.host || "local repository"}`);
+      return null;
+    }
+
+    try {
+      const { owner, repo } = source;
+      const base = await host.resolveBaseBranch({ owner, repo, baseRef: this.repoStats.baseRef }, { signal: this.signal });
+      const { title, body } = renderPullRequest(results);
+      const pr = await host.openOrUpdatePullRequest(
+        { owner, repo, head: this.branchName, base, title, body, draft: prConfig.draft },
+        { signal: this.signal },
+      );
+
+      this.log.info(`✓ Pull request #${pr.number} ${pr.action}: ${pr.url}`);
+      broadcast(this.runId, {
+        event: "pull_request",
+        agent: "Orchestrator",
+        message: `Pull request #${pr.number} ${pr.action} → ${base}`,
+        data: pr,
+      });
+      appendLog(this.runId, { agent: "Orchestrator", event: "pull_request", ...pr });
+      return pr;
     } catch (err) {
-      this.log.error(`Pipeline failed with error: ${err.message}`);
-      this.addTimeline(iteration, "ERROR");
-      appendLog(this.runId, { agent: "Orchestrator", event: "error", message: err.message });
+      this.log.warn(`Pull request failed (non-fatal): ${err.message}`);
+      broadcast(this.runId, {
+        event: "pull_request_failed",
+        agent: "Orchestrator",
+        message: `Could not open pull request: ${err.message.split("\n")[0]}`,
+      });
+      return { error: redact(err.message) };
     }
+  }
 
+  /**
+   * Fingerprint of the current error set plus the proposed patches.
+   */
+  fingerprintIteration(fixes) {
+    const ciOutput = this.ciFailures.map((f) => f.log).join("\n");
+    const errors = parseErrorLog(`${this.currentOutput || ""}\n${ciOutput}`)
+      .map((e) => `E|${e.file}|${e.lineNumber}|${e.bugType}`);
+    const patches = fixes
+      .map((f) => `F|${f.file}|${(f.patch || "").trim()}|${(f.originalCode || "").trim()}|${(f.fixedCode || "").trim()}`);
+    return fingerprint([...errors, ...patches]);
+  }
+
+  /**
+   * Step 5 — CI for the pushed commit (best-effort). Failed jobs' logs
+   * become this.ciFailures, which the next generateFixes() also targets.
+   * @returns {Promise<object | null>} monitorCI() result; null when monitoring failed
+   */
+  async monitorPushedCommit(iteration, ci, headSha) {
+    try {
+      const ciResult = await this.monitor.monitorCI(ci, this.branchName, headSha);
+      this.ciFailures = ciResult.failures || [];
+      if (this.ciFailures.length > 0) {
+        const output = this.ciFailures.map((f) => `### ${f.workflow} / ${f.job}\n${f.log}`).join("\n\n");
+        this.errorLogs.push({ iteration, source: "ci", output: output.slice(-5000) });
+      }
+      return ciResult;
+    } catch (err) {
+      this.signal.throwIfAborted();
+      this.log.warn(`CI monitoring skipped: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Roll back an iteration that made the test suite worse: revert its
+   * commits/edits and mark its fixes as Reverted.
+   */
+  async revertIteration(iteration, baseSha, fixStart, failuresBefore, failuresAfter) {
+    const reason = `Tests regressed: ${failuresBefore} → ${failuresAfter} failure(s)`;
+    this.log.warn(`${reason} — reverting iteration ${iteration}`);
+
+    for (const fix of this.allFixes.slice(fixStart)) {
+      if (fix.status !== "Fixed") continue;
+      fix.status = "Reverted";
+      fix.reason = reason;
+    }
+
+    const revertCommits = await this.committer.revertSince(this.repoDir, baseSha, reason, this.commitConfig);
+    this.totalCommits += revertCommits;
+    if (revertCommits > 0) {
+      try {
+        const push = await this.committer.pushBranch(this.repoDir, this.branchName, { mode: this.repoConfig.push?.mode });
+        if (push.integrated && push.mode === "rebase") this.squashBase = push.remoteSha;
+      } catch (err) {
+        this.signal.throwIfAborted();
+        this.log.warn(`Push of revert failed (non-fatal): ${err.message}`);
+      }
+    }
+
+    this.addTimeline(iteration, "REVERTED");
+  }
+
+  /**
+   * Commit settings: .pipelinesage.yml `commit`, overridden per run.
+   */
+  get commitConfig() {
+    return { ...this.repoConfig.commit, ...this.commitOverrides };
+  }
+
+  /**
+   * CI settings: .pipelinesage.yml `ci`; per-run workflows replace its list.
+   */
+  get ciConfig() {
+    return { ...this.repoConfig.ci, ...(this.workflowOverrides && { workflows: this.workflowOverrides }) };
+  }
+
+  /**
+   * Grouping "squash": fold the run's commits into one. Failure is
+   * non-fatal — the per-iteration commits stay as they are.
+   */
+  async squashCommits() {
+    if (this.totalCommits <= 1) return;
+    this.signal.throwIfAborted();
+    try {
+      const fixed = this.allFixes.filter((f) => f.status === "Fixed");
+      this.totalCommits = await this.committer.squashRun(
+        this.repoDir, this.branchName, this.squashBase || this.repoStats.baseSha, fixed,
+        { ...this.commitConfig, signing: this.signing },
+      );
+    } catch (err) {
+      this.signal.throwIfAborted();
+      if (err instanceof SigningError) throw err;
+      this.log.warn(`Squash failed (non-fatal): ${err.message}`);
+      broadcast(this.runId, {
+        event: "squash_failed",
+        agent: "Committer",
+        message: `Squash failed: ${err.message.split("\n")[0]}. Per-iteration commits kept.`,
+      });
+    }
+  }
+
+  /**
+   * The run's commits with signature status, read from the clone before
+   * it is removed. Empty when the clone is gone or nothing was committed.
+   */
+  async listRunCommits() {
+    const since = this.squashBase || this.repoStats.baseSha;
+    if (!this.repoDir || !since || this.totalCommits === 0 || !(await fs.pathExists(this.repoDir))) return [];
+    try {
+      return await this.committer.listCommits(this.repoDir, since);
+    } catch (err) {
+      this.log.warn(`Could not list commits: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Close out a run that was in progress when the backend stopped and
+   * will not be resumed. Results reflect the last checkpoint, if any.
+   */
+  async interrupt(reason) {
+    this.log.warn(`Run interrupted: ${reason}`);
+    this.statusReason = reason;
+    this.repoDir ??= path.resolve("tmp", this.runId);
+    this.addTimeline(this.iteration, "INTERRUPTED");
+    appendLog(this.runId, { agent: "Orchestrator", event: "interrupted", message: reason });
+    return this.finish("INTERRUPTED");
+  }
+
+  /**
+   * Build + persist results, broadcast the outcome and clean up the clone.
+   */
+  async finish(finalStatus) {
     // ─── Generate Results ────────────────────────────────────────
     const totalTime = Date.now() - this.startTime;
+    this.commits = await this.listRunCommits();
     const results = this.buildResults(finalStatus, totalTime);
 
+    // ─── Pull request (optional) ─────────────────────────────────
+    if (finalStatus === "PASSED" || finalStatus === "FAILED") {
+      results.pullRequest = await this.openPullRequest(results);
+    }
+
     // Save results to file
     await this.saveResults(results);
 
     // Update run store
     updateRun(this.runId, {
-      status: finalStatus === "PASSED" ? "completed" : "failed",
+      status: RUN_STATUS[finalStatus] || "failed",
       completedAt: new Date().toISOString(),
       result: results,
     });
-
-    broadcast(this.runId, {
-      event: "pipeline_done",
-      agent: "Orchestrator",
-      message: `Pipeline ${finalStatus} — Score: ${results.scoreBreakdown.total}`,
-      data: results,
-    });
+    saveCheckpoint(this.runId, null);
+
+    if (finalStatus === "CANCELLED") {
+      broadcast(this.runId, {
+        event: "pipeline_cancelled",
+        agent: "Orchestrator",
+        message: `Pipeline cancelled during iteration ${this.iteration}`,
+        data: results,
+      });
+    } else {
+      broadcast(this.runId, {
+        event: "pipeline_done",
+        agent: "Orchestrator",
+        message: `Pipeline ${finalStatus} — Score: ${results.scoreBreakdown.total}`,
+        data: results,
+      });
+    }
 
     // ─── Cleanup ─────────────────────────────────────────────────
-    if (repoDir) {
+    if (this.repoDir) {
       try {
-        await fs.remove(repoDir);
+        await fs.remove(this.repoDir);
         this.log.info("Temp directory cleaned up");
       } catch (err) {
         this.log.warn(`Cleanup failed: ${err.message}`);
@@ -238,25 +691,78 @@ export class Orchestrator {
     return results;
   }
 
+  /**
+   * Persist enough state to resume this run after a backend restart.
+   */
+  checkpoint(stage) {
+    saveCheckpoint(this.runId, {
+      stage,
+      savedAt: new Date().toISOString(),
+      elapsedMs: Date.now() - this.startTime,
+      branch: this.branchName,
+      repoDir: this.repoDir,
+      runtime: this.runtime,
+      iteration: this.iteration,
+      retryLimit: this.retryLimit,
+      repoConfig: this.repoConfig,
+      configErrors: this.configErrors,
+      repoStats: this.repoStats,
+      currentOutput: this.currentOutput,
+      failureCount: this.failureCount,
+      finalStatus: this.finalStatus,
+      pendingIteration: this.pendingIteration,
+      squashBase: this.squashBase,
+      ciFailures: this.ciFailures,
+      seenFingerprints: this.seenFingerprints,
+      allFixes: this.allFixes,
+      timeline: this.timeline,
+      iterationDetails: this.iterationDetails,
+      errorLogs: this.errorLogs,
+      totalCommits: this.totalCommits,
+      totalFailures: this.totalFailures,
+    });
+  }
+
+  /**
+   * Load state from a checkpoint; the next run() resumes from it.
+   */
+  restore(checkpoint) {
+    const { stage, savedAt, elapsedMs, branch, ...state } = checkpoint;
+    Object.assign(this, state);
+    this.branchName = branch;
+    this.startTime = Date.now() - (elapsedMs || 0);
+    this.resumeStage = stage;
+    this.log.info(`Restored checkpoint "${stage}" saved at ${savedAt}`);
+    return this;
+  }
+
   /**
    * Add a timeline entry.
+   * @param {object} [details] - e.g. { workflows } — per-workflow CI results
    */
-  addTimeline(iteration, status) {
+  addTimeline(iteration, status, details) {
     this.timeline.push({
       iteration,
       status,
       timestamp: new Date().toISOString(),
+      ...(details?.workflows?.length && { workflows: details.workflows }),
     });
   }
 
   /**
    * Build the final results.json object — enriched with full context.
+   * Redacted, since it is persisted and served by the API.
    */
   buildResults(finalStatus, totalTime) {
     const fixedCount = this.allFixes.filter((f) => f.status === "Fixed").length;
     const failedFixes = this.allFixes.filter((f) => f.status === "Failed").length;
     const skippedFixes = this.allFixes.filter((f) => f.status === "Skipped").length;
-    const iterationCount = this.timeline.length - 1;
+    const revertedFixes = this.allFixes.filter((f) => f.status === "Reverted").length;
+    const rejectedFixes = this.allFixes.filter((f) => f.status === "Rejected").length;
+    const blockedFixes = this.allFixes.filter((f) => f.status === "Blocked").length;
+    // Distinct fix iterations — one iteration can add several timeline
+    // entries (e.g. PUSH_CONFLICT then FAILED)
+    const iterationCount = new Set(this.timeline.filter((t) => t.iteration > 0).map((t) => t.iteration)).size;
     const scoreBreakdown = computeScore({
       totalTime,
       commitCount: this.totalCommits,
@@ -273,7 +779,7 @@ export class Orchestrator {
       else bugTypeSummary[f.bugType].failed++;
     }
 
-    return {
+    return redactDeep({
       runId: this.runId,
       repoUrl: this.repoUrl,
       teamName: this.teamName,
@@ -285,16 +791,26 @@ export class Orchestrator {
       totalFixes: fixedCount,
       totalFixesFailed: failedFixes,
       totalFixesSkipped: skippedFixes,
+      totalFixesReverted: revertedFixes,
+      totalFixesRejected: rejectedFixes,
+      totalFixesBlocked: blockedFixes,
       totalFixesAttempted: this.allFixes.length,
       totalCommits: this.totalCommits,
+      totalCommitsSigned: this.commits.filter((c) => c.signed).length,
+      commitGrouping: this.commitConfig.grouping || "file",
       totalIterations: iterationCount,
       finalStatus,
+      statusReason: this.statusReason,
       totalTime: formatDuration(totalTime),
       totalTimeMs: totalTime,
 
       // ─── Repo info ─────────────────────────────────────────
       repoStats: this.repoStats,
 
+      // ─── Repo config (.pipelinesage.yml) ───────────────────
+      repoConfig: this.repoConfig,
+      configErrors: this.configErrors,
+
       // ─── Score ─────────────────────────────────────────────
       scoreBreakdown,
 
@@ -308,12 +824,18 @@ export class Orchestrator {
         lineNumber: f.lineNumber,
         commitMessage: f.commitMessage || `[AI-AGENT] Fix ${f.bugType} in ${f.file}`,
         description: f.description,
+        files: f.files || (f.file ? [f.file] : []),
+        patch: f.patch || null,
         originalCode: f.originalCode || null,
         fixedCode: f.fixedCode || null,
         status: f.status,
         reason: f.reason || null,
+        iteration: f.iteration ?? null,
       })),
 
+      // ─── Commits (newest first, with signature status) ─────
+      commits: this.commits,
+
       // ─── Iteration details ─────────────────────────────────
       iterations: this.iterationDetails,
 
@@ -324,7 +846,7 @@ export class Orchestrator {
       timeline: this.timeline,
 
       generatedAt: new Date().toISOString(),
-    };
+    });
   }
 
   /**
@@ -341,3 +863,14 @@ export class Orchestrator {
     return filePath;
   }
 }
+
+/** CI outcome for iterationDetails — job logs stay in errorLogs */
+function summarizeCI(ciResult, headSha) {
+  return {
+    headSha,
+    conclusion: ciResult.conclusion,
+    workflows: ciResult.workflows || [],
+    runs: ciResult.runs || [],
+    failedJobs: (ciResult.failures || []).map(({ workflow, job, step, url }) => ({ workflow, job, step, url })),
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * GitHub Actions CI provider — workflow runs and third-party check suites
+ * via the REST API (GITHUB_TOKEN). The only provider with webhooks.
+ *
+ * With `ci.workflows` set, only those workflows are dispatched and waited
+ * on — the newest run of each — and check suites from other apps are ignored.
+ * A required workflow the repo doesn't have fails as "not_found".
+ */
+import path from "path";
+import { Octokit } from "@octokit/rest";
+import YAML from "yaml";
+
+/**
+ * @param {{ owner: string, repo: string }} source
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @param {Array<{ workflow: string, inputs?: object }>} [opts.workflows] - required workflows
+ */
+export function createGitHubActions({ owner, repo }, { signal, workflows: required = null } = {}) {
+  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+  const request = { signal };
+  let resolved = null;
+
+  /** Required workflows matched to the repo's — by path, file name or name */
+  async function resolveRequired() {
+    if (resolved) return resolved;
+    const workflows = await octokit.paginate(octokit.actions.listRepoWorkflows, { owner, repo, per_page: 100, request });
+    const matched = required.map((spec) => ({ ...spec, match: findWorkflow(workflows, spec.workflow) }));
+    // Only cache a complete match — a workflow may be added by a later push
+    if (matched.every((w) => w.match)) resolved = matched;
+    return matched;
+  }
+
+  /** Dispatch one workflow on `branch`, with inputs when it declares workflow_dispatch */
+  async function dispatch(workflow, branch, inputs) {
+    const entry = { name: workflow.name, path: workflow.path };
+    const declared = await dispatchInputs(workflow.path, branch);
+    if (declared === false) {
+      return { ...entry, dispatched: false, reason: "no workflow_dispatch trigger — waiting for push-triggered run" };
+    }
+
+    // Inputs the workflow doesn't declare would make GitHub reject the dispatch
+    const unknown = declared ? Object.keys(inputs || {}).filter((k) => !declared.includes(k)) : [];
+    const accepted = inputs && Object.fromEntries(Object.entries(inputs).filter(([k]) => !unknown.includes(k)));
+    try {
+      await octokit.actions.createWorkflowDispatch({
+        owner, repo, workflow_id: workflow.id, ref: branch, request,
+        ...(accepted && Object.keys(accepted).length && { inputs: accepted }),
+      });
+      return { ...entry, dispatched: true, ...(unknown.length && { ignoredInputs: unknown }) };
+    } catch (err) {
+      signal?.throwIfAborted();
+      return { ...entry, dispatched: false, dispatchError: err.message };
+    }
+  }
+
+  /**
+   * Input names of the workflow's workflow_dispatch trigger at `ref`;
+   * false — no such trigger; null — the file couldn't be read.
+   */
+  async function dispatchInputs(workflowPath, ref) {
+    try {
+      const { data } = await octokit.repos.getContent({ owner, repo, path: workflowPath, ref, request });
+      const on = YAML.parse(Buffer.from(data.content, "base64").toString("utf-8"))?.on;
+      const triggers = typeof on === "string" ? [on] : Array.isArray(on) ? on : Object.keys(on || {});
+      if (!triggers.includes("workflow_dispatch")) return false;
+      return Object.keys(on.workflow_dispatch?.inputs || {});
+    } catch {
+      signal?.throwIfAborted();
+      return null;
+    }
+  }
+
+  return {
+    name: "github-actions",
+    webhooks: true,
+
+    /**
+     * Dispatch the required workflows on `branch` — or, without any, the
+     * first active workflow (push-triggered runs count too).
+     */
+    async trigger({ branch }) {
+      if (required) {
+        const matched = await resolveRequired();
+        const results = [];
+        for (const { workflow, match, inputs } of matched) {
+          results.push(match ? await dispatch(match, branch, inputs) : { name: workflow, dispatched: false, missing: true });
+        }
+        return {
+          triggered: true,
+          name: results.map((w) => w.name).join(", "),
+          dispatched: results.some((w) => w.dispatched),
+          workflows: results,
+        };
+      }
+
+      const { data: { workflows } } = await octokit.actions.listRepoWorkflows({ owner, repo, request });
+      if (workflows.length === 0) return { triggered: false, reason: "No workflows configured" };
+
+      const workflow = workflows.find((w) => w.state === "active") || workflows[0];
+      try {
+        await octokit.actions.createWorkflowDispatch({ owner, repo, workflow_id: workflow.id, ref: branch, request });
+        return { triggered: true, name: workflow.name, detail: workflow.path, dispatched: true };
+      } catch (err) {
+        signal?.throwIfAborted();
+        return { triggered: true, name: workflow.name, detail: workflow.path, dispatched: false, dispatchError: err.message };
+      }
+    },
+
+    /**
+     * Workflow runs for a commit, plus check suites from other CI apps
+     * (Actions runs already have their own suite, so those are skipped).
+     * Suites with no check runs are placeholders that never complete.
+     * With required workflows: the newest run of each, "queued" until one
+     * exists — or completed as "not_found" when the workflow doesn't.
+     */
+    async listRuns({ headSha }) {
+      if (required) {
+        const [matched, workflowRuns] = await Promise.all([
+          resolveRequired(),
+          octokit.paginate(octokit.actions.listWorkflowRunsForRepo, {
+            owner, repo, head_sha: headSha, per_page: 100, request,
+          }),
+        ]);
+
+        return matched.map(({ workflow, match }) => {
+          if (!match) return { id: null, kind: "workflow", name: workflow, status: "completed", conclusion: "not_found", url: null };
+          const latest = workflowRuns
+            .filter((r) => r.head_sha === headSha && r.workflow_id === match.id)
+            .sort((a, b) => b.id - a.id)[0];
+          return latest
+            ? {
+              id: latest.id, kind: "workflow", name: match.name, status: latest.status, conclusion: latest.conclusion,
+              url: latest.html_url,
+            }
+            : { id: null, kind: "workflow", name: match.name, status: "queued", conclusion: null, url: match.html_url };
+        });
+      }
+
+      const [workflowRuns, suites] = await Promise.all([
+        octokit.paginate(octokit.actions.listWorkflowRunsForRepo, {
+          owner, repo, head_sha: headSha, per_page: 100, request,
+        }),
+        octokit.paginate(octokit.checks.listSuitesForRef, {
+          owner, repo, ref: headSha, per_page: 100, request,
+        }),
+      ]);
+
+      return [
+        ...workflowRuns
+          .filter((r) => r.head_sha === headSha)
+          .map((r) => ({
+            id: r.id, kind: "workflow", name: r.name, status: r.status, conclusion: r.conclusion, url: r.html_url,
+          })),
+        ...suites
+          .filter((s) => s.app?.slug !== "github-actions" && s.latest_check_runs_count > 0)
+          .map((s) => ({
+            id: s.id, kind: "check_suite", name: s.app?.name || "check suite", status: s.status, conclusion: s.conclusion,
+            url: s.url,
+          })),
+      ];
+    },
+
+    /**
+     * Failed jobs of the failed workflow runs, each cut down to the
+     * failing step's output. A job whose log can't be read carries `error`.
+     */
+    async fetchFailedLogs(runs, { limit, isPassing }) {
+      const failures = [];
+      for (const run of runs.filter((r) => r.kind === "workflow" && r.id && !isPassing(r.conclusion))) {
+        const jobs = await octokit.paginate(octokit.actions.listJobsForWorkflowRun, {
+          owner, repo, run_id: run.id, filter: "latest", per_page: 100, request,
+        });
+
+        for (const job of jobs.filter((j) => j.conclusion && !isPassing(j.conclusion))) {
+          if (failures.length >= limit) return failures;
+          const step = job.steps?.find((st) => st.conclusion === "failure")?.name || null;
+          const entry = { workflow: run.name, job: job.name, step, url: job.html_url };
+          try {
+            const { data } = await octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: job.id, request });
+            failures.push({ ...entry, log: extractFailingStep(String(data)) });
+          } catch (err) {
+            signal?.throwIfAborted();
+            failures.push({ ...entry, log: "", error: err.message });
+          }
+        }
+      }
+      return failures;
+    },
+  };
+}
+
+/**
+ * A workflow by path (".github/workflows/ci.yml"), file name ("ci.yml")
+ * or display name (case-insensitive).
+ */
+function findWorkflow(workflows, spec) {
+  const name = spec.toLowerCase();
+  return workflows.find((w) => w.path === spec)
+    || workflows.find((w) => path.posix.basename(w.path) === spec)
+    || workflows.find((w) => w.name.toLowerCase() === name)
+    || null;
+}
+
+/**
+ * The failing step of a GitHub Actions job log: from the "Run …" group
+ * before the first ##[error] up to the next step, timestamps stripped.
+ * Without an error marker, the whole log.
+ */
+function extractFailingStep(log) {
+  const lines = log
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z ?/, ""));
+
+  let start = 0;
+  let end = lines.length;
+  const errorAt = lines.findIndex((l) => l.startsWith("##[error]"));
+  if (errorAt !== -1) {
+    for (let i = errorAt; i >= 0; i--) {
+      if (lines[i].startsWith("##[group]Run ")) {
+        start = i;
+        break;
+      }
+    }
+    const next = lines.findIndex((l, i) => i > errorAt && l.startsWith("##[group]Run "));
+    if (next !== -1) end = next;
+  }
+
+  return lines
+    .slice(start, end)
+    .filter((l) => l !== "##[endgroup]")
+    .map((l) => l.replace(/^##\[group\]/, ""))
+    .join("\n")
+    .trim();
+}
@@ -0,0 +1,97 @@
+/**
+ * GitLab CI provider — pipelines for a commit via the REST API (v4).
+ * Token: GITLAB_TOKEN on the configured GitLab (GITLAB_URL, default
+ * gitlab.com); any other host only gets its GIT_TOKEN_<HOST> (see gitAuth.js).
+ */
+import { tokenForUrl } from "../utils/gitAuth.js";
+
+/** Pipeline status → [status, conclusion] in GitHub's terms */
+const PIPELINE_STATUS = {
+  success: ["completed", "success"],
+  failed: ["completed", "failure"],
+  canceled: ["completed", "cancelled"],
+  skipped: ["completed", "skipped"],
+  manual: ["completed", "neutral"], // blocked on a manual job — nothing failed
+  running: ["in_progress", null],
+};
+
+/**
+ * @param {{ url: string, project: string }} config - GitLab base URL, project path or ID
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ */
+export function createGitLabCI({ url, project }, { signal } = {}) {
+  const base = `${url.replace(/\/+$/, "")}/api/v4/projects/${encodeURIComponent(project)}`;
+  const token = isConfiguredGitLab(url) && process.env.GITLAB_TOKEN ? process.env.GITLAB_TOKEN : tokenForUrl(url);
+
+  async function api(pathname, { method = "GET", text = false } = {}) {
+    const res = await fetch(`${base}${pathname}`, {
+      method,
+      signal,
+      headers: token ? { "PRIVATE-TOKEN": token } : {},
+    });
+    if (!res.ok) throw new Error(`GitLab ${method} ${pathname.split("?")[0]} failed: HTTP ${res.status}`);
+    return text ? res.text() : res.json();
+  }
+
+  return {
+    name: "gitlab",
+    webhooks: false,
+
+    /** A push normally starts a pipeline — create one only if the commit has none */
+    async trigger({ branch, headSha }) {
+      const existing = await api(`/pipelines?sha=${headSha}&per_page=1`);
+      if (existing.length > 0) {
+        return { triggered: true, name: `pipeline #${existing[0].id}`, dispatched: false };
+      }
+      const pipeline = await api(`/pipeline?ref=${encodeURIComponent(branch)}`, { method: "POST" });
+      return { triggered: true, name: `pipeline #${pipeline.id}`, dispatched: true };
+    },
+
+    async listRuns({ headSha }) {
+      const pipelines = await api(`/pipelines?sha=${headSha}&per_page=100`);
+      return pipelines.map((p) => {
+        const [status, conclusion] = PIPELINE_STATUS[p.status] || ["queued", null];
+        return { id: p.id, kind: "pipeline", name: `pipeline #${p.id}`, status, conclusion, url: p.web_url };
+      });
+    },
+
+    /** Failed jobs (allow_failure ones excluded) of the failed pipelines, with their traces */
+    async fetchFailedLogs(runs, { limit, isPassing }) {
+      const failures = [];
+      for (const run of runs.filter((r) => !isPassing(r.conclusion))) {
+        const jobs = await api(`/pipelines/${run.id}/jobs?scope%5B%5D=failed&per_page=100`);
+
+        for (const job of jobs.filter((j) => !j.allow_failure)) {
+          if (failures.length >= limit) return failures;
+          const entry = { workflow: run.name, job: job.name, step: job.stage || null, url: job.web_url };
+          try {
+            failures.push({ ...entry, log: cleanTrace(await api(`/jobs/${job.id}/trace`, { text: true })) });
+          } catch (err) {
+            signal?.throwIfAborted();
+            failures.push({ ...entry, log: "", error: err.message });
+          }
+        }
+      }
+      return failures;
+    },
+  };
+}
+
+/** Whether `url` is on the GitLab that GITLAB_TOKEN belongs to */
+function isConfiguredGitLab(url) {
+  try {
+    return new URL(url).host.toLowerCase() === new URL(process.env.GITLAB_URL || "https://gitlab.com").host.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/** Job trace without ANSI colours and collapsible-section markers */
+function cleanTrace(trace) {
+  return trace
+    .replace(/\x1b\[[0-9;]*[A-Za-z]/g, "")
+    .replace(/section_(start|end):\d+:[\w.-]+(\[[^\]]*\])?\r?/g, "")
+    .replace(/\r(?!\n)/g, "\n")
+    .trim();
+}
@@ -0,0 +1,65 @@
+/**
+ * CI providers — selected by `ci.provider` in .pipelinesage.yml; by
+ * default GitHub Actions for github.com repos, GitLab CI for gitlab.com
+ * and none otherwise. CI servers come from the backend's environment
+ * (GITLAB_URL, JENKINS_URL) or the repo's own host, never from the repo's
+ * config — it would receive the tokens.
+ *
+ * Every provider exposes:
+ *   name, webhooks                    — webhooks: CI events reach POST /api/webhooks/*
+ *   trigger({ branch, headSha })      → { triggered, name?, detail?, dispatched?, dispatchError?, reason?,
+ *                                         workflows? }  — per required workflow (github-actions)
+ *   listRuns({ branch, headSha })     → [{ id, kind, name, status, conclusion, url }]
+ *       status is "completed" once done; conclusion uses GitHub's terms
+ *   fetchFailedLogs(runs, { limit, isPassing })
+ *                                     → [{ workflow, job, step, url, log, error? }]
+ */
+import { createGitHubActions } from "./githubActions.js";
+import { createGitLabCI } from "./gitlab.js";
+import { createJenkinsCI } from "./jenkins.js";
+
+/**
+ * @param {object} [config] - validated `ci` section of the repo config
+ * @param {object} source - parseRepoSource() result
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ * @returns {object | null} null — no CI to monitor
+ */
+export function createCIProvider(config = {}, source, { signal } = {}) {
+  const provider = config.provider || defaultProvider(source);
+
+  switch (provider) {
+    case "github-actions":
+      // The Actions API only knows repos hosted on GitHub
+      return source.adapter === "github" ? createGitHubActions(source, { signal, workflows: config.workflows }) : null;
+    case "gitlab": {
+      const url = gitlabUrl(source);
+      const project = config.project || (source.owner && `${source.owner}/${source.repo}`);
+      return url && project ? createGitLabCI({ url, project }, { signal }) : null;
+    }
+    case "jenkins":
+      return process.env.JENKINS_URL && config.job
+        ? createJenkinsCI({ url: process.env.JENKINS_URL, job: config.job }, { signal })
+        : null;
+    default:
+      return null;
+  }
+}
+
+/** GITLAB_URL (it may carry a path prefix) for repos on its host, else the repo's host */
+function gitlabUrl(source) {
+  if (!source.host) return null;
+  try {
+    const configured = process.env.GITLAB_URL && new URL(process.env.GITLAB_URL);
+    if (configured && configured.host.toLowerCase() === source.host.toLowerCase()) return process.env.GITLAB_URL;
+  } catch {
+    // Invalid GITLAB_URL — fall back to the repo's host
+  }
+  return `https://${source.host}`;
+}
+
+function defaultProvider(source) {
+  if (source.adapter === "github") return "github-actions";
+  if (source.host === "gitlab.com") return "gitlab";
+  return "none";
+}
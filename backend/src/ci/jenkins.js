@@ -0,0 +1,105 @@
+/**
+ * Jenkins CI provider — builds of one job, matched to a commit through
+ * the git plugin's lastBuiltRevision. Server: JENKINS_URL. Auth:
+ * JENKINS_USER + JENKINS_TOKEN (an API token, so no CSRF crumb is
+ * needed), only ever sent to JENKINS_URL's origin.
+ */
+
+/** Build result → conclusion in GitHub's terms */
+const BUILD_RESULT = {
+  SUCCESS: "success",
+  UNSTABLE: "failure", // test failures
+  FAILURE: "failure",
+  ABORTED: "cancelled",
+  NOT_BUILT: "skipped",
+};
+
+/** Recent builds searched for the commit */
+const BUILD_WINDOW = 25;
+
+/**
+ * @param {{ url: string, job: string }} config - Jenkins URL and job path
+ *   ("folder/job"); "{branch}" in the path is replaced by the fix branch
+ *   (multibranch pipelines)
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
+ */
+export function createJenkinsCI({ url, job }, { signal } = {}) {
+  const { JENKINS_USER: user, JENKINS_TOKEN: token } = process.env;
+  const auth = user && token ? `Basic ${Buffer.from(`${user}:${token}`).toString("base64")}` : null;
+
+  // "{branch}" is one path segment — a "/" in the branch name is encoded
+  const jobUrl = (branch) => `${url.replace(/\/+$/, "")}/${job
+    .split("/")
+    .filter(Boolean)
+    .map((part) => `job/${encodeURIComponent(part.replace("{branch}", branch))}`)
+    .join("/")}`;
+
+  const origin = new URL(url).origin;
+
+  async function api(target, { method = "GET", text = false } = {}) {
+    // Build URLs come from Jenkins' responses — never send credentials elsewhere
+    const headers = auth && new URL(target).origin === origin ? { Authorization: auth } : {};
+    const res = await fetch(target, { method, signal, headers });
+    if (!res.ok) {
+      const err = new Error(`Jenkins ${method} ${new URL(target).pathname} failed: HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return text ? res.text() : res.json().catch(() => null);
+  }
+
+  return {
+    name: "jenkins",
+    webhooks: false,
+
+    /** Queue a build; SCM-triggered builds of the commit count too */
+    async trigger({ branch }) {
+      const name = job.replace("{branch}", branch);
+      try {
+        try {
+          await api(`${jobUrl(branch)}/build?delay=0sec`, { method: "POST" });
+        } catch (err) {
+          // Parameterized jobs only accept buildWithParameters
+          if (err.status !== 400) throw err;
+          await api(`${jobUrl(branch)}/buildWithParameters?delay=0sec`, { method: "POST" });
+        }
+        return { triggered: true, name, dispatched: true };
+      } catch (err) {
+        signal?.throwIfAborted();
+        return { triggered: true, name, dispatched: false, dispatchError: err.message };
+      }
+    },
+
+    async listRuns({ branch, headSha }) {
+      const tree = `builds[number,url,result,building,actions[lastBuiltRevision[SHA1]]]{0,${BUILD_WINDOW}}`;
+      const data = await api(`${jobUrl(branch)}/api/json?tree=${encodeURIComponent(tree)}`);
+
+      return (data?.builds || [])
+        .filter((b) => (b.actions || []).some((a) => a?.lastBuiltRevision?.SHA1 === headSha))
+        .map((b) => ({
+          id: b.number,
+          kind: "build",
+          name: `${job.replace("{branch}", branch)} #${b.number}`,
+          status: b.building ? "in_progress" : b.result ? "completed" : "queued",
+          conclusion: b.building ? null : BUILD_RESULT[b.result] || null,
+          url: b.url,
+        }));
+    },
+
+    /** Console output of the failed builds (the Monitor keeps the tail) */
+    async fetchFailedLogs(runs, { limit, isPassing }) {
+      const failures = [];
+      for (const run of runs.filter((r) => !isPassing(r.conclusion)).slice(0, limit)) {
+        const entry = { workflow: "Jenkins", job: run.name, step: null, url: run.url };
+        try {
+          failures.push({ ...entry, log: (await api(`${run.url.replace(/\/?$/, "/")}consoleText`, { text: true })).trim() });
+        } catch (err) {
+          signal?.throwIfAborted();
+          failures.push({ ...entry, log: "", error: err.message });
+        }
+      }
+      return failures;
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * GitHub host adapter — pull requests via the REST API (GITHUB_TOKEN).
+ */
+import { Octokit } from "@octokit/rest";
+
+let octokit = null;
+
+function client() {
+  if (!octokit) octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+  return octokit;
+}
+
+/**
+ * PR base: `baseRef` when it names a branch on the remote, otherwise the
+ * repo's default branch (a tag or SHA can't be a PR base).
+ */
+export async function resolveBaseBranch({ owner, repo, baseRef }, { signal } = {}) {
+  if (baseRef) {
+    try {
+      await client().repos.getBranch({ owner, repo, branch: baseRef, request: { signal } });
+      return baseRef;
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  const { data } = await client().repos.get({ owner, repo, request: { signal } });
+  return data.default_branch;
+}
+
+/**
+ * Open a PR from `head` into `base`, or update the open one for `head`.
+ * @returns {Promise<{ url: string, number: number, action: "created" | "updated", base: string }>}
+ */
+export async function openOrUpdatePullRequest({ owner, repo, head, base, title, body, draft = false }, { signal } = {}) {
+  const request = { signal };
+  const { data: open } = await client().pulls.list({
+    owner, repo, state: "open", head: `${owner}:${head}`, per_page: 1, request,
+  });
+
+  if (open.length > 0) {
+    const { data } = await client().pulls.update({
+      owner, repo, pull_number: open[0].number, title, body, base, request,
+    });
+    return { url: data.html_url, number: data.number, action: "updated", base };
+  }
+
+  const { data } = await client().pulls.create({ owner, repo, head, base, title, body, draft, request });
+  return { url: data.html_url, number: data.number, action: "created", base };
+}
@@ -0,0 +1,15 @@
+/**
+ * Host adapters — host-API features (pull requests) for the git hosts
+ * that have one. See HOST_ADAPTERS in utils/repoSource.js.
+ */
+import * as github from "./github.js";
+
+const ADAPTERS = { github };
+
+/**
+ * @param {string | null} name - repo source adapter name
+ * @returns {typeof github | null}
+ */
+export function getHostAdapter(name) {
+  return (name && ADAPTERS[name]) || null;
+}
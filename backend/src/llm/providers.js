@@ -0,0 +1,162 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *  LLM Providers
+ *  ─ Builds LangChain chat models for the Fixer from a { provider, model }
+ *    spec, and resolves the ordered fallback chain the Fixer walks when a
+ *    model is rate limited or unavailable.
+ *
+ *    google    : Gemini via @langchain/google-genai   (GOOGLE_API_KEY)
+ *    openai    : OpenAI or any OpenAI-compatible API  (OPENAI_API_KEY, OPENAI_BASE_URL)
+ *    anthropic : Claude via @langchain/anthropic      (ANTHROPIC_API_KEY)
+ *    local     : OpenAI-compatible server on the host, e.g. Ollama or
+ *                llama.cpp                            (LOCAL_LLM_URL)
+ *    replay    : recorded responses, no network       (LLM_MODE=replay — see recorder.js)
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { ChatOpenAI } from "@langchain/openai";
+import { ChatAnthropic } from "@langchain/anthropic";
+import { getLLMMode, ReplayChatModel, withRecording } from "./recorder.js";
+
+const COMMON = { temperature: 0.1, maxTokens: 8192 };
+
+const PROVIDERS = {
+  google: {
+    defaultModel: process.env.GEMINI_MODEL || "gemini-2.5-flash-lite",
+    create: (model) => {
+      requireEnv("GOOGLE_API_KEY", "google");
+      return new ChatGoogleGenerativeAI({
+        model,
+        apiKey: process.env.GOOGLE_API_KEY,
+        temperature: COMMON.temperature,
+        maxOutputTokens: COMMON.maxTokens,
+      });
+    },
+  },
+
+  openai: {
+    defaultModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    create: (model) => {
+      requireEnv("OPENAI_API_KEY", "openai");
+      return new ChatOpenAI({
+        model,
+        apiKey: process.env.OPENAI_API_KEY,
+        ...COMMON,
+        ...(process.env.OPENAI_BASE_URL && { configuration: { baseURL: process.env.OPENAI_BASE_URL } }),
+      });
+    },
+  },
+
+  anthropic: {
+    defaultModel: process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+    create: (model) => {
+      requireEnv("ANTHROPIC_API_KEY", "anthropic");
+      return new ChatAnthropic({
+        model,
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        ...COMMON,
+      });
+    },
+  },
+
+  local: {
+    defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+    create: (model) =>
+      new ChatOpenAI({
+        model,
+        // Local servers ignore the key, but the client insists on one
+        apiKey: process.env.LOCAL_LLM_API_KEY || "not-needed",
+        ...COMMON,
+        configuration: { baseURL: process.env.LOCAL_LLM_URL || "http://localhost:11434/v1" },
+      }),
+  },
+
+  replay: {
+    defaultModel: "fixtures",
+    create: () => new ReplayChatModel(),
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Default chain when LLM_FALLBACK_CHAIN is unset — ordered by Gemini
+ * free-tier quota (highest first):
+ *   gemini-2.5-flash-lite : 1,000 RPD, 15 RPM  (best free quota)
+ *   gemini-2.5-flash      :   250 RPD, 10 RPM
+ *   gemini-2.0-flash-lite :   fallback
+ */
+const DEFAULT_CHAIN = [
+  { provider: "google", model: PROVIDERS.google.defaultModel },
+  { provider: "google", model: "gemini-2.5-flash" },
+  { provider: "google", model: "gemini-2.0-flash-lite" },
+];
+
+/**
+ * Parse "provider:model" (model optional) into a spec.
+ * @throws {Error} on an unknown provider
+ */
+export function parseModelSpec(value) {
+  const [provider, ...rest] = String(value).trim().split(":");
+  const name = provider.toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDER_NAMES.join(", ")})`);
+  }
+  return { provider: name, model: rest.join(":") || PROVIDERS[name].defaultModel };
+}
+
+/**
+ * Resolve the ordered fallback chain for a run.
+ *   LLM_FALLBACK_CHAIN="google:gemini-2.5-flash-lite,openai:gpt-4o-mini,local:llama3.1"
+ * A per-run { provider, model } goes first; duplicates are dropped.
+ * In replay mode the chain is the replay provider alone.
+ */
+export function resolveModelChain(preferred) {
+  if (getLLMMode() === "replay") return [{ provider: "replay", model: PROVIDERS.replay.defaultModel }];
+
+  const configured = process.env.LLM_FALLBACK_CHAIN
+    ? process.env.LLM_FALLBACK_CHAIN.split(",").filter((s) => s.trim()).map(parseModelSpec)
+    : DEFAULT_CHAIN;
+
+  const chain = preferred?.provider
+    ? [parseModelSpec(`${preferred.provider}:${preferred.model || ""}`), ...configured]
+    : configured;
+
+  const seen = new Set();
+  return chain.filter(({ provider, model }) => {
+    const key = `${provider}:${model}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Instantiate the chat model for a spec (wrapped for fixture capture in record mode).
+ * @throws {Error} when the provider is not configured (e.g. missing API key)
+ */
+export function createChatModel({ provider, model }) {
+  const chat = PROVIDERS[provider].create(model);
+  return getLLMMode() === "record" && provider !== "replay" ? withRecording(chat, { provider, model }) : chat;
+}
+
+/** Provider-agnostic rate-limit / quota detection */
+export function isRateLimitError(err) {
+  const status = err?.status ?? err?.response?.status;
+  if (status === 429) return true;
+  const msg = err?.message || "";
+  return /429|quota|Too Many Requests|rate.?limit/i.test(msg);
+}
+
+/** Provider is down or unreachable — worth moving to the next in the chain */
+export function isUnavailableError(err) {
+  const status = err?.status ?? err?.response?.status;
+  if (status >= 500 || err?.name === "APIConnectionError") return true;
+  const msg = err?.message || "";
+  return /ECONNREFUSED|ENOTFOUND|ETIMEDOUT|fetch failed|Connection error|overloaded/i.test(msg);
+}
+
+function requireEnv(name, provider) {
+  if (!process.env[name]) throw new Error(`LLM provider "${provider}" not configured — ${name} is missing`);
+}
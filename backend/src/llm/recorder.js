@@ -0,0 +1,96 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *  LLM Record / Replay
+ *  ─ LLM_MODE=record : call the real model, then save its response to
+ *                      LLM_FIXTURES_DIR/<promptHash>.json
+ *  ─ LLM_MODE=replay : serve saved responses only — no network; a prompt
+ *                      without a fixture fails deterministically
+ *
+ *  Prompts are normalized before hashing (ANSI colours, durations,
+ *  timestamps, run IDs) so reruns of the same fixture repo hit the same key.
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+import path from "path";
+import crypto from "crypto";
+import fs from "fs-extra";
+import { AIMessage } from "@langchain/core/messages";
+
+export const LLM_MODES = ["live", "record", "replay"];
+
+export function getLLMMode() {
+  const mode = (process.env.LLM_MODE || "live").toLowerCase();
+  if (!LLM_MODES.includes(mode)) {
+    throw new Error(`Invalid LLM_MODE "${process.env.LLM_MODE}" (expected one of: ${LLM_MODES.join(", ")})`);
+  }
+  return mode;
+}
+
+export function getFixturesDir() {
+  return path.resolve(process.env.LLM_FIXTURES_DIR || path.join("fixtures", "llm"));
+}
+
+/** Strip run-specific noise from prompt text */
+export function normalizePrompt(text) {
+  return String(text)
+    .replace(/\x1b\[[0-9;]*m/g, "")                                             // ANSI colours
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<id>") // run IDs
+    .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?Z?/g, "<time>")        // timestamps
+    .replace(/\b\d+(\.\d+)?\s?(ms|s|sec|seconds)\b/g, "<duration>")              // test timings
+    .replace(/[ \t]+$/gm, "");
+}
+
+/** Stable key for a list of LangChain messages */
+export function promptKey(messages) {
+  const canonical = messages.map((m) => ({
+    role: m._getType?.() ?? m.role ?? "unknown",
+    content: normalizePrompt(typeof m.content === "string" ? m.content : JSON.stringify(m.content)),
+  }));
+  return crypto.createHash("sha256").update(JSON.stringify(canonical)).digest("hex");
+}
+
+function fixturePath(key) {
+  return path.join(getFixturesDir(), `${key}.json`);
+}
+
+/**
+ * Chat model stand-in that answers from recorded fixtures.
+ */
+export class ReplayChatModel {
+  async invoke(messages, { signal } = {}) {
+    signal?.throwIfAborted();
+    const key = promptKey(messages);
+    const file = fixturePath(key);
+
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`No recorded LLM response for prompt ${key.slice(0, 12)} in ${getFixturesDir()}`);
+    }
+
+    const fixture = await fs.readJson(file);
+    return new AIMessage(fixture.response);
+  }
+}
+
+/**
+ * Wrap a real chat model so every successful response is written as a fixture.
+ */
+export function withRecording(model, { provider, model: modelName }) {
+  return {
+    async invoke(messages, options) {
+      const response = await model.invoke(messages, options);
+      const key = promptKey(messages);
+      const text = typeof response.content === "string" ? response.content : response.text;
+
+      await fs.outputJson(fixturePath(key), {
+        key,
+        provider,
+        model: modelName,
+        recordedAt: new Date().toISOString(),
+        prompt: messages.map((m) => ({ role: m._getType?.() ?? m.role, content: m.content })),
+        response: text,
+      }, { spaces: 2 });
+
+      return response;
+    },
+  };
+}
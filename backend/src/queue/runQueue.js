@@ -0,0 +1,219 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *  Run Queue
+ *  ─ Bounded FIFO queue in front of the Orchestrator. At most
+ *    MAX_CONCURRENT_RUNS pipelines (clone + sandbox + LLM calls) run at
+ *    once; the rest wait with status "queued".
+ *  ─ On startup, recovers runs a previous process left unfinished.
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+import fs from "fs-extra";
+import { Orchestrator } from "../agents/orchestrator.js";
+import { logger } from "../utils/logger.js";
+import { broadcast } from "../ws/socket.js";
+import { updateRun, getUnfinishedRuns } from "../store/runStore.js";
+import { redact } from "../utils/redact.js";
+
+const MAX_CONCURRENT_RUNS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_RUNS || "2", 10));
+const RESUME_INTERRUPTED_RUNS = process.env.RESUME_INTERRUPTED_RUNS !== "false";
+
+/** Waiting jobs, oldest first: { runId, options, checkpoint? } */
+const pending = [];
+
+/** In-flight orchestrators by runId */
+const active = new Map();
+
+/**
+ * Add a run to the queue. Starts it immediately when a slot is free.
+ * @returns {{ status: "running" | "queued", queuePosition: number | null }}
+ */
+export function enqueueRun(runId, options) {
+  pending.push({ runId, options });
+  const queuePosition = pending.length;
+
+  drain();
+
+  if (active.has(runId)) return { status: "running", queuePosition: null };
+
+  logger.info(`Run ${runId} queued at position ${queuePosition} (${active.size}/${MAX_CONCURRENT_RUNS} slots busy)`);
+  broadcast(runId, {
+    event: "run_queued",
+    agent: "Queue",
+    message: `Waiting for a free slot — position ${queuePosition} in queue`,
+    data: { queuePosition, maxConcurrent: MAX_CONCURRENT_RUNS },
+  });
+  return { status: "queued", queuePosition };
+}
+
+/**
+ * Cancel a queued or in-flight run.
+ * @returns {"dequeued" | "cancelling" | null} null when the run is unknown to the queue
+ */
+export function cancelRun(runId, reason) {
+  const index = pending.findIndex((job) => job.runId === runId);
+  if (index !== -1) {
+    pending.splice(index, 1);
+    updateRun(runId, { status: "cancelled", completedAt: new Date().toISOString() });
+    broadcast(runId, {
+      event: "pipeline_cancelled",
+      agent: "Queue",
+      message: "Run removed from queue before it started",
+    });
+    broadcastPositions(index);
+    return "dequeued";
+  }
+
+  const orchestrator = active.get(runId);
+  if (orchestrator) {
+    orchestrator.cancel(reason);
+    return "cancelling";
+  }
+
+  return null;
+}
+
+/**
+ * 1-based position of a queued run, or null if it is not waiting.
+ */
+export function getQueuePosition(runId) {
+  const index = pending.findIndex((job) => job.runId === runId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Snapshot of queue occupancy (for health / diagnostics).
+ */
+export function getQueueStats() {
+  return { running: active.size, queued: pending.length, maxConcurrent: MAX_CONCURRENT_RUNS };
+}
+
+/**
+ * Recover runs left "queued" or "running" by a previous process.
+ * Queued runs are re-queued; running runs resume from their last
+ * checkpoint, or are marked "interrupted" when that is not possible.
+ */
+export async function recoverInterruptedRuns() {
+  const resumed = [];
+  const requeued = [];
+
+  for (const run of getUnfinishedRuns()) {
+    const { repoUrl, baseRef, teamName, leaderName, llm, commit, workflows } = run.meta;
+    const options = { repoUrl, baseRef, teamName, leaderName, llm, commit, workflows };
+
+    if (run.status === "queued") {
+      requeued.push({ runId: run.runId, options });
+      continue;
+    }
+
+    const { checkpoint } = run;
+    let reason = null;
+    if (!RESUME_INTERRUPTED_RUNS) {
+      reason = "Backend restarted while the run was in progress (resume disabled)";
+    } else if (!checkpoint) {
+      reason = "Backend restarted before the initial analysis completed";
+    } else if (!checkpoint.repoDir || !(await fs.pathExists(checkpoint.repoDir))) {
+      reason = "Backend restarted and the working copy of the repository is gone";
+    }
+
+    if (reason) {
+      const orchestrator = createOrchestrator(run.runId, options);
+      if (!orchestrator) continue;
+      if (checkpoint) orchestrator.restore(checkpoint);
+      try {
+        await orchestrator.interrupt(reason);
+      } catch (err) {
+        logger.error(`Failed to close out interrupted run ${run.runId}: ${err.message}`);
+      }
+      continue;
+    }
+
+    logger.info(`Run ${run.runId} will resume from checkpoint "${checkpoint.stage}"`);
+    resumed.push({ runId: run.runId, options, checkpoint });
+  }
+
+  // Resumed runs were already running — they go ahead of anything queued
+  pending.unshift(...resumed, ...requeued);
+  if (resumed.length || requeued.length) {
+    logger.info(`Recovered ${resumed.length} interrupted and ${requeued.length} queued run(s)`);
+  }
+  drain();
+}
+
+/* ─── Internals ────────────────────────────────────────────────────── */
+
+/** Start queued runs while there are free slots. */
+function drain() {
+  let started = 0;
+  while (active.size < MAX_CONCURRENT_RUNS && pending.length > 0) {
+    start(pending.shift());
+    started++;
+  }
+  if (started > 0) broadcastPositions(0);
+}
+
+function start({ runId, options, checkpoint }) {
+  const orchestrator = createOrchestrator(runId, options);
+  if (!orchestrator) return;
+  active.set(runId, orchestrator);
+
+  if (checkpoint) {
+    orchestrator.restore(checkpoint);
+    logger.info(`Run ${runId} resumed (${active.size}/${MAX_CONCURRENT_RUNS} slots busy)`);
+  } else {
+    updateRun(runId, { status: "running", startedAt: new Date().toISOString() });
+    logger.info(`Run ${runId} started (${active.size}/${MAX_CONCURRENT_RUNS} slots busy)`);
+    broadcast(runId, {
+      event: "run_started",
+      agent: "Queue",
+      message: "Run dequeued — pipeline starting",
+    });
+  }
+
+  orchestrator.run()
+    .catch((err) => {
+      logger.error(`Run ${runId} failed catastrophically: ${err.message}`);
+      updateRun(runId, {
+        status: "failed",
+        completedAt: new Date().toISOString(),
+        result: { error: redact(err.message) },
+      });
+    })
+    .finally(() => {
+      active.delete(runId);
+      drain();
+    });
+}
+
+/**
+ * Build a run's orchestrator. Setup errors (e.g. an invalid
+ * LLM_FALLBACK_CHAIN) fail that run instead of escaping the queue.
+ * @returns {Orchestrator | null}
+ */
+function createOrchestrator(runId, options) {
+  try {
+    return new Orchestrator(runId, options);
+  } catch (err) {
+    const message = redact(err.message);
+    logger.error(`Run ${runId} could not start: ${message}`);
+    updateRun(runId, {
+      status: "failed",
+      completedAt: new Date().toISOString(),
+      result: { error: message },
+    });
+    broadcast(runId, { event: "run_failed", agent: "Queue", message: `Run could not start: ${message}` });
+    return null;
+  }
+}
+
+/** Tell every run from `fromIndex` onward its new queue position. */
+function broadcastPositions(fromIndex) {
+  for (let i = fromIndex; i < pending.length; i++) {
+    broadcast(pending[i].runId, {
+      event: "queue_position",
+      agent: "Queue",
+      message: `Position ${i + 1} in queue`,
+      data: { queuePosition: i + 1 },
+    });
+  }
+}
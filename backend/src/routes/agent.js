@@ -4,6 +4,7 @@
  *  ─ POST /api/run-agent   — Start a new autonomous run
  *  ─ GET  /api/results/:id — Poll run status & results
  *  ─ GET  /api/runs        — List all runs
+ *  ─ DELETE /api/runs/:id  — Cancel an in-flight run
  *  ─ GET  /api/health      — Health check (handled in index.js)
  * ═══════════════════════════════════════════════════════════════════════
  */
@@ -11,40 +12,61 @@
 import { Router } from "express";
 import { v4 as uuidv4 } from "uuid";
 
-import { Orchestrator } from "../agents/orchestrator.js";
-import { generateBranchName, parseRepoUrl } from "../utils/helpers.js";
+import { generateBranchName } from "../utils/helpers.js";
+import { parseRepoSource } from "../utils/repoSource.js";
+import { validateCommitConfig, validateWorkflows } from "../utils/repoConfig.js";
 import { logger } from "../utils/logger.js";
 import { createRun, getRun, getAllRuns, updateRun } from "../store/runStore.js";
+import { enqueueRun, cancelRun, getQueuePosition } from "../queue/runQueue.js";
 import { checkDockerHealth } from "../utils/docker.js";
+import { broadcast } from "../ws/socket.js";
+import { PROVIDER_NAMES } from "../llm/providers.js";
 
 const router = Router();
 
 /* ────────────────────────────────────────────────────────────────────
  *  POST /api/run-agent
- *  Body: { repoUrl, teamName, leaderName }
- *  Returns: { status: 'running', runId, branch }
+ *  Body: { repoUrl, baseRef?, teamName, leaderName, llm?: { provider, model? }, commit?, workflows? }
+ *    baseRef   — branch, tag or commit SHA to fix from (default branch if omitted)
+ *    commit    — same shape as `commit` in .pipelinesage.yml; overrides it
+ *    workflows — same shape as `ci.workflows`; replaces it
+ *  Returns: { status: 'running' | 'queued', runId, branch, queuePosition }
  * ──────────────────────────────────────────────────────────────────── */
 router.post("/run-agent", async (req, res, next) => {
   try {
-    const { repoUrl, teamName, leaderName } = req.body;
+    const { repoUrl, baseRef, teamName, leaderName, llm, commit, workflows } = req.body;
 
     // ─── Validation ────────────────────────────────────────────
     const errors = [];
     if (!repoUrl || typeof repoUrl !== "string") errors.push("repoUrl is required");
     if (!teamName || typeof teamName !== "string") errors.push("teamName is required");
     if (!leaderName || typeof leaderName !== "string") errors.push("leaderName is required");
+    if (baseRef !== undefined && !isValidRef(baseRef)) {
+      errors.push("baseRef must be a branch, tag or commit SHA");
+    }
+    if (llm !== undefined) {
+      if (!llm || typeof llm !== "object" || !PROVIDER_NAMES.includes(llm.provider)) {
+        errors.push(`llm.provider must be one of: ${PROVIDER_NAMES.join(", ")}`);
+      } else if (llm.model !== undefined && (typeof llm.model !== "string" || !llm.model.trim())) {
+        errors.push("llm.model must be a non-empty string");
+      }
+    }
+    const commitConfig = commit === undefined ? null : validateCommitConfig(commit);
+    if (commitConfig) errors.push(...commitConfig.errors);
+    const workflowConfig = workflows === undefined ? null : validateWorkflows(workflows, "workflows");
+    if (workflowConfig) errors.push(...workflowConfig.errors);
 
     if (errors.length > 0) {
       return res.status(400).json({ error: "Validation Error", messages: errors });
     }
 
-    // Validate GitHub URL format
+    // Any git host (https / ssh), or a local path when ALLOW_LOCAL_REPOS=true
     try {
-      parseRepoUrl(repoUrl);
-    } catch {
+      parseRepoSource(repoUrl);
+    } catch (err) {
       return res.status(400).json({
         error: "Invalid Repository URL",
-        message: "URL must be a valid GitHub repository (https://github.com/owner/repo)",
+        message: `${err.message}. Expected https://host/owner/repo, git@host:owner/repo.git, ssh://…, file://… or an absolute path`,
       });
     }
 
@@ -53,26 +75,32 @@ router.post("/run-agent", async (req, res, next) => {
     const runId = uuidv4();
 
     // ─── Create run record ─────────────────────────────────────
-    createRun(runId, { repoUrl, teamName, leaderName, branch });
+    const llmChoice = llm && { provider: llm.provider, ...(llm.model && { model: llm.model.trim() }) };
+    const ref = baseRef?.trim() || null;
+    const commitChoice = commitConfig?.config;
+    const workflowChoice = workflowConfig?.config;
+    createRun(runId, {
+      repoUrl, baseRef: ref, teamName, leaderName, branch,
+      ...(llmChoice && { llm: llmChoice }),
+      ...(commitChoice && { commit: commitChoice }),
+      ...(workflowChoice && { workflows: workflowChoice }),
+    });
     logger.info(`New run created: ${runId} for ${repoUrl} → branch: ${branch}`);
 
-    // ─── Fire and forget — run pipeline asynchronously ─────────
-    const orchestrator = new Orchestrator(runId, { repoUrl, teamName, leaderName });
-    orchestrator.run().catch((err) => {
-      logger.error(`Run ${runId} failed catastrophically: ${err.message}`);
-      updateRun(runId, {
-        status: "error",
-        completedAt: new Date().toISOString(),
-        result: { error: err.message },
-      });
+    // ─── Queue — starts now if a slot is free ──────────────────
+    const { status, queuePosition } = enqueueRun(runId, {
+      repoUrl, baseRef: ref, teamName, leaderName, llm: llmChoice, commit: commitChoice, workflows: workflowChoice,
     });
 
     // ─── Respond immediately ───────────────────────────────────
     res.status(202).json({
-      status: "running",
+      status,
       runId,
       branch,
-      message: `Agent started for ${repoUrl}. Poll GET /api/results/${runId} for updates.`,
+      queuePosition,
+      message: status === "queued"
+        ? `Agent queued for ${repoUrl} at position ${queuePosition}. Poll GET /api/results/${runId} for updates.`
+        : `Agent started for ${repoUrl}. Poll GET /api/results/${runId} for updates.`,
     });
   } catch (err) {
     next(err);
@@ -90,6 +118,16 @@ router.get("/results/:runId", (req, res) => {
     return res.status(404).json({ error: "Not Found", message: "Run ID not found" });
   }
 
+  if (run.status === "queued") {
+    return res.json({
+      status: "queued",
+      runId: run.runId,
+      queuedAt: run.queuedAt,
+      queuePosition: getQueuePosition(run.runId),
+      logs: run.logs.slice(-20),
+    });
+  }
+
   if (run.status === "running") {
     return res.json({
       status: "processing",
@@ -117,6 +155,50 @@ router.get("/runs", (_req, res) => {
   res.json({ runs: getAllRuns() });
 });
 
+/* ────────────────────────────────────────────────────────────────────
+ *  DELETE /api/runs/:runId
+ *  Cancels a queued or in-flight run. Queued runs are dropped at once;
+ *  running ones stop at the orchestrator's next abort check, which
+ *  records status "cancelled" and broadcasts pipeline_cancelled.
+ * ──────────────────────────────────────────────────────────────────── */
+router.delete("/runs/:runId", (req, res) => {
+  const { runId } = req.params;
+  const run = getRun(runId);
+
+  if (!run) {
+    return res.status(404).json({ error: "Not Found", message: "Run ID not found" });
+  }
+
+  if (run.status !== "running" && run.status !== "queued") {
+    return res.status(409).json({
+      error: "Conflict",
+      message: `Run is not in progress (status: ${run.status})`,
+    });
+  }
+
+  const outcome = cancelRun(runId);
+  if (outcome !== "cancelling") {
+    if (!outcome) {
+      // Store says in progress but the queue doesn't know it (e.g. lost on restart)
+      updateRun(runId, { status: "cancelled", completedAt: new Date().toISOString() });
+      broadcast(runId, {
+        event: "pipeline_cancelled",
+        agent: "Queue",
+        message: "Run cancelled — it was no longer running",
+      });
+    }
+    logger.info(`Run ${runId} cancelled before it started`);
+    return res.json({ status: "cancelled", runId });
+  }
+
+  logger.info(`Cancellation requested for run ${runId}`);
+  res.status(202).json({
+    status: "cancelling",
+    runId,
+    message: `Cancellation requested. Poll GET /api/results/${runId} for the final state.`,
+  });
+});
+
 /* ────────────────────────────────────────────────────────────────────
  *  GET /api/docker-status
  *  Check if Docker daemon is available.
@@ -126,4 +208,17 @@ router.get("/docker-status", async (_req, res) => {
   res.json(health);
 });
 
+/**
+ * Git ref name or SHA, per the git check-ref-format rules that matter
+ * here — and never starting with "-", so it can't be read as an option.
+ */
+function isValidRef(ref) {
+  if (typeof ref !== "string") return false;
+  const value = ref.trim();
+  return value.length > 0
+    && value.length <= 255
+    && !value.startsWith("-")
+    && !/\.\.|@\{|[\s~^:?*[\\\x00-\x1f\x7f]|\/\/|^\/|\/$|\.$|\.lock$/.test(value);
+}
+
 export default router;
@@ -0,0 +1,83 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════
+ *  Webhook Routes
+ *  ─ POST /api/webhooks/github — workflow_run / check_suite events that
+ *    wake the Monitor instead of it polling the Actions API
+ *
+ *  GitHub setup: payload URL <backend>/api/webhooks/github, content type
+ *  application/json, secret = GITHUB_WEBHOOK_SECRET, events "Workflow
+ *  runs" and "Check suites".
+ * ═══════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from "crypto";
+import { Router } from "express";
+
+import { logger } from "../utils/logger.js";
+import { publishCIEvent } from "../utils/ciEvents.js";
+
+const router = Router();
+
+/** GitHub event name → normalized CI event (null when not usable) */
+const CI_EVENTS = {
+  workflow_run: ({ workflow_run: run }) => run && {
+    headSha: run.head_sha,
+    kind: "workflow",
+    id: run.id,
+    name: run.name,
+    status: run.status,
+    conclusion: run.conclusion,
+    url: run.html_url,
+  },
+  check_suite: ({ check_suite: suite }) => suite && {
+    headSha: suite.head_sha,
+    kind: "check_suite",
+    id: suite.id,
+    name: suite.app?.name || "check suite",
+    status: suite.status,
+    conclusion: suite.conclusion,
+    url: suite.url,
+  },
+};
+
+/* ────────────────────────────────────────────────────────────────────
+ *  POST /api/webhooks/github
+ *  Headers: X-Hub-Signature-256, X-GitHub-Event, X-GitHub-Delivery
+ *  Returns: 202 { received, matched } · 401 bad signature ·
+ *           503 when GITHUB_WEBHOOK_SECRET is not set
+ * ──────────────────────────────────────────────────────────────────── */
+router.post("/webhooks/github", (req, res) => {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: "Service Unavailable", message: "Webhooks are not configured" });
+  }
+
+  if (!verifySignature(secret, req.rawBody, req.get("X-Hub-Signature-256"))) {
+    logger.warn(`Rejected webhook ${req.get("X-GitHub-Delivery") || "?"}: bad signature`);
+    return res.status(401).json({ error: "Unauthorized", message: "Invalid webhook signature" });
+  }
+
+  const eventName = req.get("X-GitHub-Event");
+  if (eventName === "ping") return res.json({ received: true, pong: true });
+
+  const event = CI_EVENTS[eventName]?.(req.body || {});
+  if (!event?.headSha) {
+    return res.status(202).json({ received: true, ignored: eventName || "unknown" });
+  }
+
+  const matched = publishCIEvent(event);
+  logger.debug(`Webhook ${eventName} ${event.name} ${event.status} for ${event.headSha.slice(0, 7)}${matched ? " (monitored)" : ""}`);
+  res.status(202).json({ received: true, matched });
+});
+
+/**
+ * Constant-time check of GitHub's `sha256=<hex HMAC of the raw body>`.
+ */
+function verifySignature(secret, rawBody, header) {
+  if (!Buffer.isBuffer(rawBody) || typeof header !== "string") return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`);
+  const given = Buffer.from(header);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export default router;
@@ -1,43 +1,183 @@
 /**
- * In-memory run store.
- * In production you'd swap this for Redis or a DB.
+ * Persistent run store backed by SQLite.
+ * Runs and their log entries survive backend restarts so GET /api/runs
+ * and GET /api/results/:runId keep returning history.
  */
-const runs = new Map();
+import path from "path";
+import fs from "fs-extra";
+import Database from "better-sqlite3";
+import { redactDeep } from "../utils/redact.js";
+
+const DB_PATH = process.env.RUN_STORE_PATH || path.resolve("data", "runs.db");
+
+/**
+ * Schema migrations — applied in order, tracked via PRAGMA user_version.
+ * Never edit an existing entry; append a new one instead.
+ */
+const MIGRATIONS = [
+  // 1 — runs + run logs
+  `
+  CREATE TABLE runs (
+    run_id       TEXT PRIMARY KEY,
+    status       TEXT NOT NULL,
+    started_at   TEXT NOT NULL,
+    completed_at TEXT,
+    meta         TEXT NOT NULL DEFAULT '{}',
+    result       TEXT
+  );
+  CREATE INDEX idx_runs_started_at ON runs (started_at);
+
+  CREATE TABLE run_logs (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id    TEXT NOT NULL REFERENCES runs (run_id) ON DELETE CASCADE,
+    timestamp TEXT NOT NULL,
+    entry     TEXT NOT NULL
+  );
+  CREATE INDEX idx_run_logs_run_id ON run_logs (run_id);
+  `,
+
+  // 2 — time the run entered the queue (started_at is set when it leaves)
+  `
+  ALTER TABLE runs ADD COLUMN queued_at TEXT;
+  UPDATE runs SET queued_at = started_at;
+  `,
+
+  // 3 — orchestrator checkpoint for resuming after a restart
+  `
+  ALTER TABLE runs ADD COLUMN checkpoint TEXT;
+  CREATE INDEX idx_runs_status ON runs (status);
+  `,
+];
+
+function openDatabase(file) {
+  if (file !== ":memory:") fs.ensureDirSync(path.dirname(file));
+  const conn = new Database(file);
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("foreign_keys = ON");
+  migrate(conn);
+  return conn;
+}
+
+function migrate(conn) {
+  const current = conn.pragma("user_version", { simple: true });
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    conn.transaction(() => {
+      conn.exec(MIGRATIONS[version]);
+      conn.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+const db = openDatabase(DB_PATH);
+
+const stmts = {
+  insertRun: db.prepare(`
+    INSERT INTO runs (run_id, status, queued_at, started_at, completed_at, meta, result)
+    VALUES (@runId, @status, @queuedAt, @startedAt, @completedAt, @meta, @result)
+  `),
+  updateRun: db.prepare(`
+    UPDATE runs
+       SET status = @status, queued_at = @queuedAt, started_at = @startedAt, completed_at = @completedAt,
+           meta = @meta, result = @result
+     WHERE run_id = @runId
+  `),
+  selectRun: db.prepare("SELECT * FROM runs WHERE run_id = ?"),
+  selectAllRuns: db.prepare("SELECT * FROM runs ORDER BY started_at DESC"),
+  selectUnfinishedRuns: db.prepare(
+    "SELECT * FROM runs WHERE status IN ('queued', 'running') ORDER BY queued_at"
+  ),
+  updateCheckpoint: db.prepare("UPDATE runs SET checkpoint = ? WHERE run_id = ?"),
+  insertLog: db.prepare("INSERT INTO run_logs (run_id, timestamp, entry) VALUES (?, ?, ?)"),
+  selectLogs: db.prepare("SELECT timestamp, entry FROM run_logs WHERE run_id = ? ORDER BY id"),
+};
+
+/** Row → run object (same shape the in-memory store used to return) */
+function hydrate(row, { withLogs = true } = {}) {
+  const run = {
+    runId: row.run_id,
+    status: row.status,
+    queuedAt: row.queued_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    meta: JSON.parse(row.meta),
+    logs: [],
+    result: row.result ? JSON.parse(row.result) : null,
+    checkpoint: row.checkpoint ? JSON.parse(row.checkpoint) : null,
+  };
+  if (withLogs) {
+    run.logs = stmts.selectLogs.all(row.run_id).map(({ timestamp, entry }) => ({
+      timestamp, ...JSON.parse(entry),
+    }));
+  }
+  return run;
+}
+
+/** Run object → statement params (checkpoint is written separately) */
+function serialize(run) {
+  return {
+    runId: run.runId,
+    status: run.status,
+    queuedAt: run.queuedAt ?? null,
+    startedAt: run.startedAt,
+    completedAt: run.completedAt ?? null,
+    meta: JSON.stringify(run.meta ?? {}),
+    result: run.result == null ? null : JSON.stringify(run.result),
+  };
+}
 
 export function createRun(runId, meta) {
+  const now = new Date().toISOString();
   const run = {
     runId,
-    status: "running",
-    startedAt: new Date().toISOString(),
+    status: "queued",    // → running (set by the run queue) → completed | failed | cancelled | interrupted
+    queuedAt: now,
+    startedAt: now,      // overwritten when the run leaves the queue
     completedAt: null,
     meta,                // { repoUrl, teamName, leaderName, branch }
     logs: [],            // timestamped log entries
     result: null,        // final results.json payload
   };
-  runs.set(runId, run);
+  stmts.insertRun.run(serialize(run));
   return run;
 }
 
 export function getRun(runId) {
-  return runs.get(runId) || null;
+  const row = stmts.selectRun.get(runId);
+  return row ? hydrate(row) : null;
 }
 
 export function updateRun(runId, updates) {
-  const run = runs.get(runId);
-  if (!run) return null;
-  Object.assign(run, updates);
+  const row = stmts.selectRun.get(runId);
+  if (!row) return null;
+  // Logs live in their own table — not needed to rewrite the run row
+  const run = Object.assign(hydrate(row, { withLogs: false }), updates);
+  stmts.updateRun.run(serialize(run));
   return run;
 }
 
 export function appendLog(runId, entry) {
-  const run = runs.get(runId);
-  if (run) {
-    run.logs.push({ timestamp: new Date().toISOString(), ...entry });
-  }
+  if (!stmts.selectRun.get(runId)) return;
+  stmts.insertLog.run(runId, new Date().toISOString(), JSON.stringify(redactDeep(entry)));
+}
+
+/**
+ * Store (or clear, with null) the orchestrator checkpoint for a run.
+ * Redacted like the log — it holds test output and CI logs.
+ */
+export function saveCheckpoint(runId, checkpoint) {
+  stmts.updateCheckpoint.run(checkpoint == null ? null : JSON.stringify(redactDeep(checkpoint)), runId);
+}
+
+/**
+ * Runs left queued or running — e.g. by a backend restart.
+ */
+export function getUnfinishedRuns() {
+  return stmts.selectUnfinishedRuns.all().map((row) => hydrate(row, { withLogs: false }));
 }
 
 export function getAllRuns() {
-  return [...runs.values()].map(({ runId, status, startedAt, completedAt, meta }) => ({
-    runId, status, startedAt, completedAt, ...meta,
-  }));
+  return stmts.selectAllRuns.all().map((row) => {
+    const { runId, status, queuedAt, startedAt, completedAt, meta } = hydrate(row, { withLogs: false });
+    return { runId, status, queuedAt, startedAt, completedAt, ...meta };
+  });
 }
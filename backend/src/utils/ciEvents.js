@@ -0,0 +1,76 @@
+/**
+ * In-process CI event bus. The GitHub webhook publishes workflow_run /
+ * check_suite updates keyed by head SHA; the Monitor subscribes to the
+ * SHA it is waiting on and re-checks CI only when something changed.
+ */
+import { EventEmitter } from "events";
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per monitored commit
+
+/** Webhook delivery is configured — polling becomes the fallback */
+export function webhooksEnabled() {
+  return Boolean(process.env.GITHUB_WEBHOOK_SECRET);
+}
+
+/**
+ * @param {{ headSha: string, kind: string, id: number, name: string,
+ *   status: string, conclusion: string | null, url: string }} event
+ * @returns {boolean} whether a Monitor was waiting on that commit
+ */
+export function publishCIEvent(event) {
+  return bus.emit(event.headSha, event);
+}
+
+/**
+ * Subscribe to CI events for one commit. Events that arrive while the
+ * caller is busy are buffered, so none are missed between next() calls.
+ * Call close() when done.
+ */
+export function subscribeCIEvents(headSha) {
+  const queue = [];
+  let wake = null;
+  const onEvent = (event) => {
+    queue.push(event);
+    wake?.();
+  };
+  bus.on(headSha, onEvent);
+
+  return {
+    /**
+     * Buffered events, waiting up to `timeoutMs` for one to arrive.
+     * @returns {Promise<object[]>} [] on timeout
+     */
+    next(timeoutMs, signal) {
+      if (queue.length > 0) return Promise.resolve(queue.splice(0));
+
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const settle = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", onAbort);
+          wake = null;
+        };
+        const onAbort = () => {
+          settle();
+          reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+          settle();
+          resolve([]);
+        }, timeoutMs);
+
+        signal?.addEventListener("abort", onAbort, { once: true });
+        wake = () => {
+          settle();
+          resolve(queue.splice(0));
+        };
+      });
+    },
+
+    close() {
+      bus.off(headSha, onEvent);
+    },
+  };
+}
@@ -87,3 +87,42 @@ export function parseErrorLog(rawLog) {
 
   return errors;
 }
+
+/**
+ * Summary-line patterns for common test runners, most specific first.
+ * Each returns the number of failing tests from a match.
+ */
+const FAILURE_SUMMARIES = [
+  // Maven / Surefire:  Tests run: 10, Failures: 2, Errors: 1
+  { regex: /Tests run:\s*\d+,\s*Failures:\s*(\d+),\s*Errors:\s*(\d+)/g, count: (m) => +m[1] + +m[2] },
+  // Cargo:  test result: FAILED. 3 passed; 2 failed
+  { regex: /test result: \w+\.\s*\d+ passed;\s*(\d+) failed/g, count: (m) => +m[1] },
+  // Jest:  Tests:  2 failed, 5 passed, 7 total
+  { regex: /Tests:\s+(\d+) failed/g, count: (m) => +m[1] },
+  // Vitest:  Tests  2 failed | 3 passed
+  { regex: /Tests\s+(\d+) failed\s*\|/g, count: (m) => +m[1] },
+  // Pytest:  === 3 failed, 12 passed in 1.2s ===  (errors count too)
+  { regex: /=+ (?:.*?(\d+) failed)?(?:.*?(\d+) errors?)?.* in [\d.]+s/g, count: (m) => (+m[1] || 0) + (+m[2] || 0), requireGroup: true },
+  // Mocha:  2 failing
+  { regex: /^\s*(\d+) failing\b/gm, count: (m) => +m[1] },
+  // Go:  --- FAIL: TestFoo (0.00s)
+  { regex: /^--- FAIL: /gm, count: () => 1 },
+];
+
+/**
+ * Estimate how many tests failed from raw test output.
+ * Uses the runner's summary line when recognised (summed across matches,
+ * e.g. one per module), else falls back to the number of parsed errors.
+ */
+export function countFailures(rawLog) {
+  if (!rawLog) return 0;
+
+  for (const { regex, count, requireGroup } of FAILURE_SUMMARIES) {
+    const matches = [...rawLog.matchAll(regex)].filter((m) => !requireGroup || m.slice(1).some(Boolean));
+    if (matches.length > 0) {
+      return matches.reduce((sum, m) => sum + count(m), 0);
+    }
+  }
+
+  return parseErrorLog(rawLog).length;
+}
@@ -0,0 +1,121 @@
+/**
+ * Signed agent commits, for branches protected by "require signed commits".
+ *   COMMIT_SIGNING_FORMAT — "gpg" (default) | "ssh"
+ *   COMMIT_SIGNING_KEY    — gpg: key ID / fingerprint in the backend's keyring
+ *                           ssh: path to the private key (its .pub, or
+ *                           `ssh-keygen -y`, supplies the public half)
+ * Whether to sign is `commit.signing` (repo config / per run), else
+ * COMMIT_SIGNING: auto (sign when a key is configured), required, off.
+ * COMMIT_SIGNING=required is backend policy — repos and runs can't lower it.
+ */
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs-extra";
+import { SIGNING_MODES } from "./repoConfig.js";
+
+const execFileAsync = promisify(execFile);
+
+export const SIGNING_FORMATS = ["gpg", "ssh"];
+
+/** git log %G? → results status */
+const SIGNATURE_STATUS = {
+  G: "good",
+  U: "good",          // valid, key of unknown trust
+  X: "expired",
+  Y: "expired",       // signed by an expired key
+  R: "revoked",
+  E: "unverifiable",  // key not available to check it
+  B: "bad",
+  N: "unsigned",
+};
+
+/** Signing is misconfigured, or required and impossible */
+export class SigningError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SigningError";
+  }
+}
+
+/**
+ * Decide how (and whether) this run signs its commits.
+ * @param {"auto"|"required"|"off"} [mode] - defaults to COMMIT_SIGNING, else auto;
+ *   ignored when COMMIT_SIGNING is "required"
+ * @returns {{ format: string, key: string, required: boolean } | null} null — don't sign
+ * @throws {SigningError} signing required but no key configured, or a bad key setting
+ */
+export function resolveSigning(mode) {
+  const envMode = SIGNING_MODES.includes(process.env.COMMIT_SIGNING) ? process.env.COMMIT_SIGNING : "auto";
+  const effective = envMode === "required" ? "required" : mode || envMode;
+  if (effective === "off") return null;
+
+  const key = process.env.COMMIT_SIGNING_KEY?.trim();
+  if (!key) {
+    if (effective === "required") {
+      throw new SigningError(
+        "Signed commits are required but no signing key is configured — set COMMIT_SIGNING_KEY (and COMMIT_SIGNING_FORMAT) on the backend",
+      );
+    }
+    return null;
+  }
+
+  const format = process.env.COMMIT_SIGNING_FORMAT || "gpg";
+  if (!SIGNING_FORMATS.includes(format)) {
+    throw new SigningError(`COMMIT_SIGNING_FORMAT must be one of: ${SIGNING_FORMATS.join(", ")}`);
+  }
+  if (format === "ssh" && !fs.existsSync(key)) {
+    throw new SigningError(`SSH signing key not found: ${key}`);
+  }
+
+  return { format, key, required: effective === "required" };
+}
+
+/**
+ * Repo-local git config that signs every commit — including rebase,
+ * merge and revert commits. SSH signatures also get an allowed-signers
+ * file, so `git log` can verify them for the results.
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function signingGitConfig(signing, email) {
+  if (signing.format === "gpg") {
+    return { "gpg.format": "openpgp", "user.signingkey": signing.key, "commit.gpgsign": "true" };
+  }
+  return {
+    "gpg.format": "ssh",
+    "user.signingkey": signing.key,
+    "commit.gpgsign": "true",
+    "gpg.ssh.allowedSignersFile": await allowedSignersFile(signing.key, email),
+  };
+}
+
+/**
+ * Map a `git log --format=%G?` letter to a status name.
+ */
+export function signatureStatus(letter) {
+  return SIGNATURE_STATUS[letter] || "unknown";
+}
+
+/* ─── Helpers ──────────────────────────────────────────────────────── */
+
+/** One allowed-signers file per key + email — holds only public keys */
+const signersFiles = new Map();
+
+async function allowedSignersFile(keyPath, email) {
+  const cacheKey = `${keyPath}\0${email}`;
+  const cached = signersFiles.get(cacheKey);
+  if (cached && (await fs.pathExists(cached))) return cached;
+
+  // A .pub key path means the private half lives in ssh-agent
+  const pubPath = keyPath.endsWith(".pub") ? keyPath : `${keyPath}.pub`;
+  const publicKey = (await fs.pathExists(pubPath))
+    ? await fs.readFile(pubPath, "utf-8")
+    : (await execFileAsync("ssh-keygen", ["-y", "-f", keyPath])).stdout;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pipelinesage-signers-"));
+  const file = path.join(dir, "allowed_signers");
+  await fs.writeFile(file, `${email} namespaces="git" ${publicKey.trim().split(/\s+/).slice(0, 2).join(" ")}\n`);
+  signersFiles.set(cacheKey, file);
+  return file;
+}
@@ -34,23 +34,27 @@ export async function checkDockerHealth() {
 
 /**
  * Run a command — tries Docker first, falls back to native execution.
+ * Aborting `signal` kills the container / child process and rejects.
  */
-export async function runInDocker({ image, repoDir, cmd, runId, timeout = 120_000 }) {
+export async function runInDocker({ image, repoDir, cmd, runId, timeout = 120_000, signal }) {
+  signal?.throwIfAborted();
+
   // Check Docker availability (cached after first check)
   if (_dockerAvailable === null) {
     await checkDockerHealth();
   }
 
-  if (_dockerAvailable) {
-    return _runInDockerContainer({ image, repoDir, cmd, runId, timeout });
-  } else {
-    return _runNative({ repoDir, cmd, runId, timeout });
-  }
+  const result = _dockerAvailable
+    ? await _runInDockerContainer({ image, repoDir, cmd, runId, timeout, signal })
+    : await _runNative({ repoDir, cmd, runId, timeout, signal });
+
+  signal?.throwIfAborted();
+  return result;
 }
 
 /* ─── Native fallback (child_process) ──────────────────────────────── */
 
-function _runNative({ repoDir, cmd, runId, timeout }) {
+function _runNative({ repoDir, cmd, runId, timeout, signal }) {
   const log = createRunLogger(runId, "NativeExec");
   const absRepoDir = path.resolve(repoDir);
 
@@ -62,6 +66,7 @@ function _runNative({ repoDir, cmd, runId, timeout }) {
       timeout,
       maxBuffer: 10 * 1024 * 1024, // 10MB
       env: { ...process.env, CI: "true" },
+      signal,
     }, (error, stdout, stderr) => {
       const exitCode = error ? (error.code || 1) : 0;
       log.info(`Native exec finished — exit code: ${exitCode}`);
@@ -79,7 +84,7 @@ function _runNative({ repoDir, cmd, runId, timeout }) {
 
 /* ─── Docker execution ─────────────────────────────────────────────── */
 
-async function _runInDockerContainer({ image, repoDir, cmd, runId, timeout }) {
+async function _runInDockerContainer({ image, repoDir, cmd, runId, timeout, signal }) {
   const log = createRunLogger(runId, "Docker");
   const absRepoDir = path.resolve(repoDir);
 
@@ -116,6 +121,9 @@ async function _runInDockerContainer({ image, repoDir, cmd, runId, timeout }) {
   let stderr = "";
   let exitCode = 1;
   let timedOut = false;
+  let cancelled = false;
+  let timer = null;
+  let onAbort = null;
 
   try {
     const stream = await container.attach({ stream: true, stdout: true, stderr: true });
@@ -140,14 +148,26 @@ async function _runInDockerContainer({ image, repoDir, cmd, runId, timeout }) {
     await container.start();
     log.info("Container started");
 
-    const timeoutPromise = new Promise((resolve) =>
-      setTimeout(() => { timedOut = true; resolve(null); }, timeout)
-    );
+    const timeoutPromise = new Promise((resolve) => {
+      timer = setTimeout(() => { timedOut = true; resolve(null); }, timeout);
+    });
+
+    const abortPromise = new Promise((resolve) => {
+      if (!signal) return;
+      onAbort = () => { cancelled = true; resolve(null); };
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    });
 
     const waitPromise = container.wait();
-    const result = await Promise.race([waitPromise, timeoutPromise]);
+    const result = await Promise.race([waitPromise, timeoutPromise, abortPromise]);
 
-    if (timedOut) {
+    if (cancelled) {
+      log.warn("Run cancelled — killing container");
+      try { await container.kill(); } catch { /* already stopped */ }
+      stderr = "CANCELLED: Run was cancelled";
+      exitCode = 130;
+    } else if (timedOut) {
       log.warn(`Container timed out after ${timeout / 1000}s — killing`);
       try { await container.kill(); } catch { /* already stopped */ }
       stderr = "TIMEOUT: Command execution exceeded time limit";
@@ -164,6 +184,8 @@ async function _runInDockerContainer({ image, repoDir, cmd, runId, timeout }) {
     log.error(`Container execution error: ${err.message}`);
     stderr = err.message;
   } finally {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener("abort", onAbort);
     try {
       await container.remove({ force: true });
       log.info("Container removed");
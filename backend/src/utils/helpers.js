@@ -1,3 +1,5 @@
+import crypto from "crypto";
+
 /**
  * Generates the EXACT branch name format required by the hackathon:
  *   ALL UPPERCASE, spaces → underscores, suffix _AI_Fix
@@ -17,16 +19,6 @@ export function generateBranchName(teamName, leaderName) {
   return `${sanitize(teamName)}_${sanitize(leaderName)}_AI_Fix`;
 }
 
-/**
- * Parse a GitHub repo URL into owner and repo name.
- * Supports:  https://github.com/owner/repo  |  https://github.com/owner/repo.git
- */
-export function parseRepoUrl(url) {
-  const match = url.match(/github\.com\/([^/]+)\/([^/.]+)/);
-  if (!match) throw new Error(`Invalid GitHub repo URL: ${url}`);
-  return { owner: match[1], repo: match[2] };
-}
-
 /**
  * Detect primary language of a repo by checking for known config files.
  */
@@ -53,3 +45,12 @@ export function getRuntime(language) {
   };
   return runtimes[language] || runtimes.node;
 }
+
+/**
+ * Short, order-insensitive fingerprint of a list of strings.
+ * Used to recognise repeated error sets / fix proposals across iterations.
+ */
+export function fingerprint(items) {
+  const normalized = [...new Set(items.map((i) => String(i).trim()))].sort();
+  return crypto.createHash("sha1").update(normalized.join("\u0000")).digest("hex").slice(0, 16);
+}
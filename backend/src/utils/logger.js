@@ -1,7 +1,14 @@
 import winston from "winston";
+import { redact } from "./redact.js";
 
 const { combine, timestamp, printf, colorize } = winston.format;
 
+/** Scrub tokens / keys before any transport sees the message */
+const redactSecrets = winston.format((info) => {
+  info.message = redact(info.message);
+  return info;
+});
+
 const logFormat = printf(({ level, message, timestamp, runId, agent }) => {
   const prefix = [runId, agent].filter(Boolean).join(" | ");
   return `${timestamp} [${level}]${prefix ? ` (${prefix})` : ""} ${message}`;
@@ -9,7 +16,7 @@ const logFormat = printf(({ level, message, timestamp, runId, agent }) => {
 
 export const logger = winston.createLogger({
   level: "debug",
-  format: combine(timestamp({ format: "HH:mm:ss" }), logFormat),
+  format: combine(redactSecrets(), timestamp({ format: "HH:mm:ss" }), logFormat),
   transports: [
     new winston.transports.Console({ format: combine(colorize(), timestamp({ format: "HH:mm:ss" }), logFormat) }),
     new winston.transports.File({ filename: "agent.log", maxsize: 5_000_000, maxFiles: 3 }),
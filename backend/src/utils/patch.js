@@ -0,0 +1,93 @@
+/**
+ * Unified-diff helpers for the Fixer Agent.
+ * Fixes are planned in memory first (every hunk must fit) and only then
+ * written, so a half-applied patch never reaches disk.
+ */
+import fs from "fs-extra";
+import { parsePatch, applyPatch, createTwoFilesPatch } from "diff";
+import { resolveInside } from "./pathGuard.js";
+
+/** Max context-line mismatches tolerated when fitting a hunk */
+const PATCH_FUZZ = parseInt(process.env.PATCH_FUZZ || "2", 10);
+
+/** Thrown when a patch is malformed or a hunk cannot be fitted */
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatchError";
+  }
+}
+
+/**
+ * Fit a (possibly multi-file, multi-hunk) unified diff against the repo.
+ * Every target path is contained to repoDir before it is read.
+ * @returns {Promise<Array<{ file: string, before: string, after: string, created: boolean }>>}
+ * @throws {PatchError | PathBlockedError}
+ */
+export async function planPatch(patchText, repoDir) {
+  let filePatches;
+  try {
+    filePatches = parsePatch(patchText.replace(/\r\n/g, "\n"));
+  } catch (err) {
+    throw new PatchError(`Malformed patch: ${err.message}`);
+  }
+
+  filePatches = filePatches.filter((fp) => fp.hunks.length > 0);
+  if (filePatches.length === 0) throw new PatchError("Patch contains no hunks");
+
+  const edits = [];
+  for (const fp of filePatches) {
+    const oldName = stripPrefix(fp.oldFileName);
+    const newName = stripPrefix(fp.newFileName);
+    if (!newName) throw new PatchError(`Deleting files is not supported (${oldName})`);
+    if (oldName && newName !== oldName) throw new PatchError(`Renaming files is not supported (${oldName} → ${newName})`);
+
+    const { rel, abs: filePath } = await resolveInside(repoDir, newName);
+    const exists = await fs.pathExists(filePath);
+    if (oldName && !exists) throw new PatchError(`File not found: ${newName}`);
+    if (edits.some((e) => e.file === rel)) throw new PatchError(`File patched twice: ${newName}`);
+
+    const before = exists ? await fs.readFile(filePath, "utf-8") : "";
+    const after = applyPatch(before, fp, {
+      fuzzFactor: PATCH_FUZZ,
+      // Tolerate trailing-whitespace drift; `line` is undefined past EOF
+      compareLine: (_n, line, _op, patchContent) => line !== undefined && line.trimEnd() === patchContent.trimEnd(),
+    });
+    if (after === false) throw new PatchError(`Hunk(s) did not apply cleanly to ${newName}`);
+
+    edits.push({ file: rel, before, after, created: !exists });
+  }
+
+  return edits;
+}
+
+/**
+ * Plan a legacy originalCode → fixedCode replacement (first exact occurrence).
+ * @throws {PatchError | PathBlockedError}
+ */
+export async function planReplacement({ file, originalCode, fixedCode }, repoDir) {
+  const { rel, abs: filePath } = await resolveInside(repoDir, file);
+  if (!(await fs.pathExists(filePath))) throw new PatchError("File not found");
+
+  const before = await fs.readFile(filePath, "utf-8");
+  if (!before.includes(originalCode)) throw new PatchError("Original code not found");
+
+  return [{ file: rel, before, after: before.replace(originalCode, () => fixedCode), created: false }];
+}
+
+/**
+ * Render planned edits as the unified diff that was actually applied.
+ */
+export function renderPatch(edits) {
+  return edits
+    .map(({ file, before, after, created }) =>
+      createTwoFilesPatch(created ? "/dev/null" : `a/${file}`, `b/${file}`, before, after, undefined, undefined, { context: 3 })
+        .replace(/^=+\n/, ""))
+    .join("");
+}
+
+/** "a/src/x.js" → "src/x.js"; "/dev/null" → null */
+function stripPrefix(name) {
+  if (!name || name === "/dev/null") return null;
+  return name.replace(/^[ab]\//, "").trim();
+}
@@ -0,0 +1,95 @@
+/**
+ * Write containment for the Fixer.
+ * File paths come from LLM output, so every one is checked before it is
+ * read or written:
+ *   1. it must resolve inside the clone (no absolute paths, no `..`
+ *      escapes, no symlinks pointing out of the repo)
+ *   2. it must not match the deny-list (VCS internals, CI definitions,
+ *      lockfiles, the .pipelinesage.yml itself — plus `fixer.deny`)
+ *   3. when `fixer.paths` is configured, it must match that allow-list
+ */
+import path from "path";
+import fs from "fs-extra";
+import picomatch from "picomatch";
+
+export const DEFAULT_DENY_PATHS = [
+  // Nested too — submodules and vendored repos have their own .git
+  "**/.git",
+  "**/.git/**",
+  "**/.github/workflows/**",
+  ".gitlab-ci.yml",
+  // The run's own config: runtime, retry limit, fixer.paths, signing
+  ".pipelinesage.yml",
+  ".pipelinesage.yaml",
+  "**/package-lock.json",
+  "**/npm-shrinkwrap.json",
+  "**/yarn.lock",
+  "**/pnpm-lock.yaml",
+  "**/bun.lockb",
+  "**/poetry.lock",
+  "**/Pipfile.lock",
+  "**/Cargo.lock",
+  "**/go.sum",
+  "**/Gemfile.lock",
+  "**/composer.lock",
+];
+
+/** Thrown when a fix targets a path it may not touch */
+export class PathBlockedError extends Error {
+  constructor(file, reason) {
+    super(`${file}: ${reason}`);
+    this.name = "PathBlockedError";
+    this.file = file;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Resolve a repo-relative path, refusing anything that lands outside repoDir.
+ * @returns {Promise<{ rel: string, abs: string }>} rel uses forward slashes
+ * @throws {PathBlockedError}
+ */
+export async function resolveInside(repoDir, file) {
+  if (typeof file !== "string" || !file.trim() || file.includes("\0")) {
+    throw new PathBlockedError(String(file), "invalid path");
+  }
+  if (path.isAbsolute(file) || /^[a-zA-Z]:[\\/]/.test(file)) {
+    throw new PathBlockedError(file, "absolute paths are not allowed");
+  }
+
+  const root = path.resolve(repoDir);
+  const abs = path.resolve(root, file);
+  if (!isWithin(root, abs)) throw new PathBlockedError(file, "escapes the repository");
+
+  // Follow symlinks on the longest existing prefix
+  const realRoot = await fs.realpath(root);
+  let existing = abs;
+  while (existing !== root && !(await fs.pathExists(existing))) existing = path.dirname(existing);
+  const realExisting = await fs.realpath(existing).catch(() => existing);
+  if (realExisting !== realRoot && !isWithin(realRoot, realExisting)) throw new PathBlockedError(file, "resolves outside the repository via a symlink");
+
+  return { rel: path.relative(root, abs).split(path.sep).join("/"), abs };
+}
+
+/**
+ * Build the deny/allow policy for one apply pass.
+ * @param {object}   [opts]
+ * @param {string[]} [opts.allow] - `fixer.paths` globs (all paths allowed when empty)
+ * @param {string[]} [opts.deny]  - extra globs on top of DEFAULT_DENY_PATHS
+ * @returns {(rel: string) => string | null} reason the path is blocked, or null
+ */
+export function createPathPolicy({ allow, deny } = {}) {
+  const isDenied = picomatch([...DEFAULT_DENY_PATHS, ...(deny || [])], { dot: true });
+  const isAllowed = allow?.length ? picomatch(allow, { dot: true }) : null;
+
+  return (rel) => {
+    if (isDenied(rel)) return "matches the write deny-list";
+    if (isAllowed && !isAllowed(rel)) return "outside fixer.paths in repo config";
+    return null;
+  };
+}
+
+function isWithin(root, target) {
+  const rel = path.relative(root, target);
+  return rel !== "" && rel !== ".." && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel);
+}
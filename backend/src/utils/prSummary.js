@@ -0,0 +1,84 @@
+/**
+ * Render a pull-request title + Markdown body from buildResults() output.
+ */
+
+const STATUS_ICON = { PASSED: "✅", FAILED: "❌", CANCELLED: "⏹️", INTERRUPTED: "⚠️" };
+
+/**
+ * @param {object} results - Orchestrator.buildResults() output
+ * @returns {{ title: string, body: string }}
+ */
+export function renderPullRequest(results) {
+  const fixed = results.fixes.filter((f) => f.status === "Fixed");
+  const title = `[AI-AGENT] Fix ${results.totalFixes} issue(s) — tests ${results.finalStatus === "PASSED" ? "passing" : "still failing"}`;
+
+  const sections = [
+    "## 🤖 Automated fixes",
+    `${STATUS_ICON[results.finalStatus] || "•"} **${results.finalStatus}**` +
+      `${results.statusReason ? ` — ${results.statusReason}` : ""}` +
+      ` after ${results.totalIterations} iteration(s) in ${results.totalTime}.`,
+    [
+      `- Base: \`${results.repoStats?.baseRef || "default branch"}\`` +
+        `${results.repoStats?.baseSha ? ` (${results.repoStats.baseSha.slice(0, 12)})` : ""}`,
+      `- Failures found: ${results.totalFailures}`,
+      `- Fixes applied: ${results.totalFixes} of ${results.totalFixesAttempted} attempted` +
+        `${results.totalFixesReverted ? `, ${results.totalFixesReverted} reverted` : ""}`,
+      `- Commits: ${results.totalCommits}` +
+        `${results.commits?.length ? ` (${results.totalCommitsSigned} of ${results.commits.length} signed)` : ""}`,
+    ].join("\n"),
+    renderBugTypes(results.bugTypeSummary),
+    renderFixes(fixed),
+    renderTimeline(results.timeline),
+    renderScore(results.scoreBreakdown),
+    `<sub>Generated by PipelineSage · run \`${results.runId}\`</sub>`,
+  ];
+
+  return { title, body: sections.filter(Boolean).join("\n\n") };
+}
+
+/* ─── Sections ─────────────────────────────────────────────────────── */
+
+function renderBugTypes(summary = {}) {
+  const rows = Object.entries(summary);
+  if (rows.length === 0) return null;
+  return [
+    "### Bug types",
+    "| Type | Fixed | Not fixed | Total |",
+    "| --- | ---: | ---: | ---: |",
+    ...rows.map(([type, s]) => `| ${type} | ${s.fixed} | ${s.failed} | ${s.total} |`),
+  ].join("\n");
+}
+
+function renderFixes(fixes) {
+  if (fixes.length === 0) return null;
+  return [
+    "### Fixes",
+    ...fixes.map((f) => {
+      const where = `${f.files.map((file) => `\`${file}\``).join(", ")}${f.lineNumber ? ` line ${f.lineNumber}` : ""}`;
+      return `- **${f.bugType}** in ${where}${f.iteration ? ` (iteration ${f.iteration})` : ""} — ${escapeMarkdown(f.description || "fix applied")}`;
+    }),
+  ].join("\n");
+}
+
+function renderTimeline(timeline = []) {
+  if (timeline.length === 0) return null;
+  return [
+    "### Iterations",
+    "| # | Status | Time |",
+    "| ---: | --- | --- |",
+    ...timeline.map((t) => `| ${t.iteration} | ${t.status} | ${t.timestamp.slice(11, 19)} |`),
+  ].join("\n");
+}
+
+function renderScore(score) {
+  if (!score) return null;
+  return [
+    "### Score",
+    `**${score.total}** = ${score.base} base + ${score.speedBonus} speed + ${score.fixBonus} fixes` +
+      ` − ${Math.abs(score.commitPenalty)} commits − ${Math.abs(score.iterationPenalty)} iterations`,
+  ].join("\n");
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\r?\n/g, " ").replace(/([|<>])/g, "\\$1");
+}
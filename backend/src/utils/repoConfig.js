@@ -0,0 +1,344 @@
+/**
+ * Per-repository configuration — optional `.pipelinesage.yml` at the repo root.
+ *
+ *   runtime:
+ *     image: node:20-alpine        # Docker image for the sandbox
+ *     install: npm ci              # install command ("" to skip)
+ *     test: npm run test:ci        # test command
+ *     timeout: 300                 # sandbox timeout in seconds
+ *   retryLimit: 3                  # max fix iterations
+ *   fixer:
+ *     paths: ["src/**", "lib/*.js"] # globs the Fixer may modify
+ *     deny: ["src/generated/**"]    # extra globs it may never modify
+ *   commit:
+ *     style: conventional          # "ai-agent" (default) | "conventional"
+ *     template: "fix({scope}): {changes}"  # custom subject (overrides style);
+ *                                  #   {scope} {file} {files} {bugTypes} {count}
+ *                                  #   {iteration} {summary} {changes} {description}
+ *     trailers: ["Refs: OPS-12"]   # lines appended after a blank line
+ *     grouping: file               # "fix" | "file" (default) | "iteration" | "squash"
+ *     author: { name: Bot, email: bot@example.com }
+ *     committer: { name: Bot, email: bot@example.com }  # defaults to author
+ *     signing: required            # "auto" | "required" | "off"
+ *                                  #   (default: COMMIT_SIGNING env, else auto;
+ *                                  #   COMMIT_SIGNING=required can't be lowered)
+ *   push:
+ *     mode: merge                  # "rebase" | "merge" | "force-with-lease"
+ *                                  #   (default: PUSH_MODE env, else rebase)
+ *   ci:
+ *     provider: gitlab             # "github-actions" | "gitlab" | "jenkins" | "none"
+ *                                  #   (default: github-actions on github.com,
+ *                                  #   gitlab on gitlab.com, else none)
+ *     project: group/service       # gitlab: project path or ID (default: repo path)
+ *     job: services/{branch}       # jenkins: job path, required; {branch} = fix branch
+ *                                  #   (servers: GITLAB_URL / JENKINS_URL on the backend)
+ *     workflows:                   # github-actions: the workflows to trigger and wait
+ *       - ci.yml                   #   on, by file or name (default: the first active one
+ *       - workflow: Tests          #   plus every run for the commit); inputs go to
+ *         inputs: { suite: full }  #   workflow_dispatch when the workflow declares it
+ *   pullRequest:                   # or just `pullRequest: true`
+ *     enabled: true                # open/update a PR when the run ends
+ *     draft: false                 #   (default: AUTO_PULL_REQUEST env)
+ *
+ * Invalid fields are dropped (defaults apply) and reported as errors.
+ */
+import path from "path";
+import fs from "fs-extra";
+import YAML from "yaml";
+
+export const CONFIG_FILENAMES = [".pipelinesage.yml", ".pipelinesage.yaml"];
+
+export const COMMIT_STYLES = ["ai-agent", "conventional"];
+
+export const COMMIT_GROUPINGS = ["fix", "file", "iteration", "squash"];
+
+export const SIGNING_MODES = ["auto", "required", "off"];
+
+export const CI_PROVIDERS = ["github-actions", "gitlab", "jenkins", "none"];
+
+export const PUSH_MODES = ["rebase", "merge", "force-with-lease"];
+
+const MAX_RETRY_LIMIT = 20;
+const MAX_WORKFLOWS = 10;
+const MAX_TIMEOUT_SEC = 3600;
+
+/**
+ * Read and validate the repo config.
+ * @returns {Promise<{ config: object, errors: string[], file: string | null }>}
+ */
+export async function loadRepoConfig(repoDir) {
+  for (const name of CONFIG_FILENAMES) {
+    const filePath = path.join(repoDir, name);
+    if (!(await fs.pathExists(filePath))) continue;
+
+    let raw;
+    try {
+      raw = YAML.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (err) {
+      return { config: {}, errors: [`${name}: invalid YAML — ${err.message}`], file: name };
+    }
+
+    const { config, errors } = validateRepoConfig(raw ?? {});
+    return { config, errors: errors.map((e) => `${name}: ${e}`), file: name };
+  }
+
+  return { config: {}, errors: [], file: null };
+}
+
+/**
+ * Validate a parsed config object, keeping only well-formed fields.
+ */
+export function validateRepoConfig(raw) {
+  const errors = [];
+  const config = {};
+
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { config, errors: ["top level must be a mapping"] };
+  }
+
+  const known = ["runtime", "retryLimit", "fixer", "commit", "push", "ci", "pullRequest"];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+
+  // ─── runtime ───────────────────────────────────────────────
+  if (raw.runtime !== undefined) {
+    const rt = raw.runtime;
+    if (!isMapping(rt)) {
+      errors.push("runtime must be a mapping");
+    } else {
+      const runtime = {};
+      if (rt.image !== undefined) {
+        if (isNonEmptyString(rt.image)) runtime.image = rt.image.trim();
+        else errors.push("runtime.image must be a non-empty string");
+      }
+      if (rt.install !== undefined) {
+        if (typeof rt.install === "string") runtime.installCmd = rt.install.trim();
+        else errors.push("runtime.install must be a string");
+      }
+      if (rt.test !== undefined) {
+        if (isNonEmptyString(rt.test)) runtime.testCmd = rt.test.trim();
+        else errors.push("runtime.test must be a non-empty string");
+      }
+      if (rt.timeout !== undefined) {
+        if (Number.isInteger(rt.timeout) && rt.timeout > 0 && rt.timeout <= MAX_TIMEOUT_SEC) {
+          runtime.timeoutMs = rt.timeout * 1000;
+        } else {
+          errors.push(`runtime.timeout must be an integer between 1 and ${MAX_TIMEOUT_SEC} (seconds)`);
+        }
+      }
+      if (Object.keys(runtime).length > 0) config.runtime = runtime;
+    }
+  }
+
+  // ─── retryLimit ────────────────────────────────────────────
+  if (raw.retryLimit !== undefined) {
+    if (Number.isInteger(raw.retryLimit) && raw.retryLimit >= 1 && raw.retryLimit <= MAX_RETRY_LIMIT) {
+      config.retryLimit = raw.retryLimit;
+    } else {
+      errors.push(`retryLimit must be an integer between 1 and ${MAX_RETRY_LIMIT}`);
+    }
+  }
+
+  // ─── fixer ─────────────────────────────────────────────────
+  if (raw.fixer !== undefined) {
+    if (!isMapping(raw.fixer)) {
+      errors.push("fixer must be a mapping");
+    } else {
+      const fixer = {};
+      for (const key of ["paths", "deny"]) {
+        const globs = raw.fixer[key];
+        if (globs === undefined) continue;
+        if (Array.isArray(globs) && globs.length > 0 && globs.every(isNonEmptyString)) {
+          fixer[key] = globs;
+        } else {
+          errors.push(`fixer.${key} must be a non-empty list of glob strings`);
+        }
+      }
+      for (const key of Object.keys(raw.fixer)) {
+        if (!["paths", "deny"].includes(key)) errors.push(`unknown key "fixer.${key}"`);
+      }
+      if (Object.keys(fixer).length) config.fixer = fixer;
+    }
+  }
+
+  // ─── commit ────────────────────────────────────────────────
+  if (raw.commit !== undefined) {
+    const { config: commit, errors: commitErrors } = validateCommitConfig(raw.commit);
+    errors.push(...commitErrors);
+    if (Object.keys(commit).length) config.commit = commit;
+  }
+
+  // ─── push ──────────────────────────────────────────────────
+  if (raw.push !== undefined) {
+    if (!isMapping(raw.push)) {
+      errors.push("push must be a mapping");
+    } else if (raw.push.mode !== undefined) {
+      if (PUSH_MODES.includes(raw.push.mode)) config.push = { mode: raw.push.mode };
+      else errors.push(`push.mode must be one of: ${PUSH_MODES.join(", ")}`);
+    }
+  }
+
+  // ─── ci ────────────────────────────────────────────────────
+  if (raw.ci !== undefined) {
+    if (!isMapping(raw.ci)) {
+      errors.push("ci must be a mapping");
+    } else {
+      const ci = {};
+      if (raw.ci.provider !== undefined) {
+        if (CI_PROVIDERS.includes(raw.ci.provider)) ci.provider = raw.ci.provider;
+        else errors.push(`ci.provider must be one of: ${CI_PROVIDERS.join(", ")}`);
+      }
+      if (raw.ci.url !== undefined) {
+        // The backend's CI tokens go to this host — only its own config may choose it
+        errors.push("ci.url is not allowed — CI servers are set on the backend (GITLAB_URL, JENKINS_URL)");
+      }
+      for (const key of ["project", "job"]) {
+        if (raw.ci[key] === undefined) continue;
+        if (isNonEmptyString(raw.ci[key])) ci[key] = raw.ci[key].trim();
+        else errors.push(`ci.${key} must be a non-empty string`);
+      }
+      if (raw.ci.workflows !== undefined) {
+        const { config: workflows, errors: workflowErrors } = validateWorkflows(raw.ci.workflows);
+        errors.push(...workflowErrors);
+        if (workflows.length) ci.workflows = workflows;
+      }
+      for (const key of Object.keys(raw.ci)) {
+        if (!["provider", "url", "project", "job", "workflows"].includes(key)) errors.push(`unknown key "ci.${key}"`);
+      }
+
+      if (ci.provider === "jenkins" && !ci.job) {
+        errors.push("ci.job is required for the jenkins provider");
+      } else if (ci.workflows && ["gitlab", "jenkins"].includes(ci.provider)) {
+        errors.push(`ci.workflows is only supported by the github-actions provider, not ${ci.provider}`);
+      } else if (Object.keys(ci).length) {
+        config.ci = ci;
+      }
+    }
+  }
+
+  // ─── pullRequest ───────────────────────────────────────────
+  if (raw.pullRequest !== undefined) {
+    if (typeof raw.pullRequest === "boolean") {
+      config.pullRequest = { enabled: raw.pullRequest };
+    } else if (!isMapping(raw.pullRequest)) {
+      errors.push("pullRequest must be a boolean or a mapping");
+    } else {
+      const pr = {};
+      for (const key of ["enabled", "draft"]) {
+        const value = raw.pullRequest[key];
+        if (value === undefined) continue;
+        if (typeof value === "boolean") pr[key] = value;
+        else errors.push(`pullRequest.${key} must be true or false`);
+      }
+      for (const key of Object.keys(raw.pullRequest)) {
+        if (!["enabled", "draft"].includes(key)) errors.push(`unknown key "pullRequest.${key}"`);
+      }
+      if (Object.keys(pr).length) config.pullRequest = pr;
+    }
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Validate a `commit` section — shared with the per-run `commit` API field.
+ * @returns {{ config: object, errors: string[] }}
+ */
+export function validateCommitConfig(raw, prefix = "commit") {
+  const errors = [];
+  const config = {};
+
+  if (!isMapping(raw)) return { config, errors: [`${prefix} must be a mapping`] };
+
+  if (raw.style !== undefined) {
+    if (COMMIT_STYLES.includes(raw.style)) config.style = raw.style;
+    else errors.push(`${prefix}.style must be one of: ${COMMIT_STYLES.join(", ")}`);
+  }
+  if (raw.template !== undefined) {
+    if (isNonEmptyString(raw.template) && !raw.template.includes("\n")) config.template = raw.template;
+    else errors.push(`${prefix}.template must be a single-line string`);
+  }
+  if (raw.trailers !== undefined) {
+    if (Array.isArray(raw.trailers) && raw.trailers.every((t) => isNonEmptyString(t) && /^[\w-]+:\s*\S/.test(t))) {
+      config.trailers = raw.trailers;
+    } else {
+      errors.push(`${prefix}.trailers must be a list of "Key: value" strings`);
+    }
+  }
+  if (raw.grouping !== undefined) {
+    if (COMMIT_GROUPINGS.includes(raw.grouping)) config.grouping = raw.grouping;
+    else errors.push(`${prefix}.grouping must be one of: ${COMMIT_GROUPINGS.join(", ")}`);
+  }
+  if (raw.signing !== undefined) {
+    if (SIGNING_MODES.includes(raw.signing)) config.signing = raw.signing;
+    else errors.push(`${prefix}.signing must be one of: ${SIGNING_MODES.join(", ")}`);
+  }
+  for (const who of ["author", "committer"]) {
+    const value = raw[who];
+    if (value === undefined) continue;
+    if (isMapping(value) && isNonEmptyString(value.name) && isNonEmptyString(value.email) && /^[^<>\s@]+@[^<>\s@]+$/.test(value.email)) {
+      config[who] = { name: value.name.trim(), email: value.email.trim() };
+    } else {
+      errors.push(`${prefix}.${who} must be { name, email } with a valid email`);
+    }
+  }
+
+  const known = ["style", "template", "trailers", "grouping", "author", "committer", "signing"];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) errors.push(`unknown key "${prefix}.${key}"`);
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Validate a required-workflows list — shared with the per-run
+ * `workflows` API field. Entries are a workflow file / name, or
+ * { workflow, inputs } with scalar workflow_dispatch inputs.
+ * @returns {{ config: Array<{ workflow: string, inputs?: Record<string, string> }>, errors: string[] }}
+ */
+export function validateWorkflows(raw, prefix = "ci.workflows") {
+  if (!Array.isArray(raw) || raw.length === 0 || raw.length > MAX_WORKFLOWS) {
+    return { config: [], errors: [`${prefix} must be a list of 1–${MAX_WORKFLOWS} workflows`] };
+  }
+
+  const errors = [];
+  const config = [];
+  raw.forEach((entry, i) => {
+    if (isNonEmptyString(entry)) {
+      config.push({ workflow: entry.trim() });
+      return;
+    }
+    if (!isMapping(entry) || !isNonEmptyString(entry.workflow)) {
+      errors.push(`${prefix}[${i}] must be a workflow file / name or { workflow, inputs }`);
+      return;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!["workflow", "inputs"].includes(key)) errors.push(`unknown key "${prefix}[${i}].${key}"`);
+    }
+
+    const workflow = { workflow: entry.workflow.trim() };
+    if (entry.inputs !== undefined) {
+      const scalar = (v) => ["string", "number", "boolean"].includes(typeof v);
+      if (isMapping(entry.inputs) && Object.values(entry.inputs).every(scalar)) {
+        workflow.inputs = Object.fromEntries(Object.entries(entry.inputs).map(([k, v]) => [k, String(v)]));
+      } else {
+        errors.push(`${prefix}[${i}].inputs must map input names to strings, numbers or booleans`);
+      }
+    }
+    config.push(workflow);
+  });
+
+  return { config, errors };
+}
+
+/* ─── Helpers ──────────────────────────────────────────────────────── */
+
+function isMapping(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
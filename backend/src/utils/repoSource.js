@@ -0,0 +1,107 @@
+/**
+ * Repository sources the pipeline can clone.
+ *   https://github.com/owner/repo(.git)     — any HTTPS host (GitLab subgroups ok)
+ *   git@host:owner/repo.git                  — SCP-style SSH
+ *   ssh://git@host[:port]/owner/repo.git
+ *   file:///srv/mirrors/repo.git             — local, needs ALLOW_LOCAL_REPOS=true
+ *   /srv/fixtures/repo                       — local, needs ALLOW_LOCAL_REPOS=true
+ *
+ * Cloning / committing / pushing is plain git for all of them. Host-API
+ * features (CI monitoring, pull requests) need a host adapter — only hosts
+ * listed in HOST_ADAPTERS get one.
+ */
+import path from "path";
+
+/** hostname → adapter name */
+const HOST_ADAPTERS = {
+  "github.com": "github",
+  "www.github.com": "github",
+};
+
+const SCP_LIKE = /^([\w.-]+)@([\w.-]+):(?!\/\/)(.+)$/;
+
+export function localReposAllowed() {
+  return process.env.ALLOW_LOCAL_REPOS === "true";
+}
+
+/**
+ * Parse a repo URL or local path.
+ * @returns {{
+ *   kind: "remote" | "local",
+ *   protocol: "https" | "http" | "ssh" | "file" | "path",
+ *   url: string,            // what git clones
+ *   host: string | null,
+ *   owner: string | null,   // namespace (may contain "/" on GitLab)
+ *   repo: string,
+ *   adapter: string | null, // host adapter, e.g. "github"
+ * }}
+ * @throws {Error} when the input is not a supported repository location
+ */
+export function parseRepoSource(input) {
+  const value = String(input || "").trim();
+  if (!value) throw new Error("Repository URL is empty");
+
+  // Local: absolute path or file:// URL
+  if (path.isAbsolute(value) || value.startsWith("file://")) {
+    if (!localReposAllowed()) throw new Error("Local repositories are disabled (set ALLOW_LOCAL_REPOS=true)");
+    const dir = value.startsWith("file://") ? decodeURIComponent(new URL(value).pathname) : path.resolve(value);
+    return {
+      kind: "local",
+      protocol: value.startsWith("file://") ? "file" : "path",
+      url: value.startsWith("file://") ? value : dir,
+      host: null,
+      owner: null,
+      repo: trimRepoName(path.basename(dir)),
+      adapter: null,
+    };
+  }
+
+  // git@host:owner/repo.git
+  const scp = value.match(SCP_LIKE);
+  if (scp) return remote("ssh", value, scp[2], scp[3]);
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Not a repository URL or absolute path: ${value}`);
+  }
+  const protocol = url.protocol.replace(/:$/, "");
+  if (!["https", "http", "ssh"].includes(protocol)) {
+    throw new Error(`Unsupported protocol "${protocol}" (use https, ssh, file or an absolute path)`);
+  }
+  return remote(protocol, value, url.hostname, url.pathname, protocol === "ssh" ? null : url.origin);
+}
+
+/**
+ * Human-readable "owner/repo" (or the path for local repos).
+ */
+export function displayName(source) {
+  return source.kind === "local" ? source.url : `${source.owner}/${source.repo}`;
+}
+
+function remote(protocol, url, host, repoPath, origin) {
+  const hostname = host.toLowerCase();
+  const adapter = HOST_ADAPTERS[hostname] || null;
+
+  const segments = repoPath.replace(/^\/+|\/+$/g, "").split("/").filter(Boolean);
+  // Drop UI suffixes: GitHub /owner/repo/tree/main, GitLab /group/repo/-/tree/main
+  const dash = segments.indexOf("-");
+  const parts = adapter === "github" ? segments.slice(0, 2) : dash === -1 ? segments : segments.slice(0, dash);
+  if (parts.length < 2) throw new Error(`Repository path must be <owner>/<repo>: ${url}`);
+
+  return {
+    kind: "remote",
+    protocol,
+    // HTTP(S) URLs are rebuilt so pasted browser links clone too
+    url: origin ? `${origin}/${parts.join("/")}` : url,
+    host: hostname,
+    owner: parts.slice(0, -1).join("/"),
+    repo: trimRepoName(parts[parts.length - 1]),
+    adapter,
+  };
+}
+
+function trimRepoName(name) {
+  return name.replace(/\.git$/, "");
+}
@@ -0,0 +1,190 @@
+/**
+ * Pre-write syntax validation for Fixer edits.
+ *   JS / TS / JSX : @babel/parser
+ *   JSON          : JSON.parse
+ *   YAML          : yaml
+ *   Python        : python -m py_compile inside the sandbox
+ * Other file types are not checked.
+ */
+import path from "path";
+import fs from "fs-extra";
+import YAML from "yaml";
+import { parse as babelParse } from "@babel/parser";
+import { diffLines } from "diff";
+import { runInDocker } from "./docker.js";
+import { getRuntime } from "./helpers.js";
+import { extractLocation } from "./classifier.js";
+
+const JS_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ".ts", ".mts", ".cts", ".tsx"];
+
+/**
+ * Check the planned contents of each edited file, rejecting only errors
+ * the edit introduces. When the original already failed to parse (a
+ * second syntax error, Flow, an unsupported proposal), an error counts as
+ * new only if it sits on a line the edit wrote.
+ * @param {Array<{ file: string, before: string, after: string, created?: boolean }>} edits
+ * @param {object} ctx - { runId, runtime, language, signal }
+ * @returns {Promise<Array<{ file: string, message: string, line: number | null }>>} syntax errors (empty when clean)
+ */
+export async function validateSyntax(edits, ctx) {
+  const afterErrors = await findSyntaxErrors(edits.map(({ file, after }) => ({ file, source: after })), ctx);
+  if (afterErrors.length === 0) return [];
+
+  const broken = edits.filter((e) => !e.created && afterErrors.some((err) => err.file === e.file));
+  const beforeErrors = await findSyntaxErrors(broken.map(({ file, before }) => ({ file, source: before })), ctx);
+
+  return afterErrors.filter((err) => {
+    const original = beforeErrors.find((b) => b.file === err.file);
+    if (!original) return true;
+    if (err.line == null) return err.message !== original.message;
+    const { before, after } = edits.find((e) => e.file === err.file);
+    return changedLines(before, after).has(err.line);
+  });
+}
+
+/** Parse errors in each file's `source` — files of unknown types pass */
+async function findSyntaxErrors(files, ctx) {
+  const errors = [];
+  const pythonFiles = [];
+
+  for (const { file, source } of files) {
+    const ext = path.extname(file).toLowerCase();
+    let error = null;
+
+    if (JS_EXTENSIONS.includes(ext)) error = checkJavaScript(source, ext);
+    else if (ext === ".json") error = checkJson(source);
+    else if (ext === ".yml" || ext === ".yaml") error = checkYaml(source);
+    else if (ext === ".py") pythonFiles.push({ file, source });
+
+    if (error) errors.push({ file, ...error });
+  }
+
+  if (pythonFiles.length > 0) {
+    errors.push(...(await checkPython(pythonFiles, ctx)));
+  }
+
+  return errors;
+}
+
+/**
+ * 1-based lines of `after` that the edit added or changed, plus the lines
+ * around each deletion.
+ */
+function changedLines(before, after) {
+  const lines = new Set();
+  let line = 1;
+  const parts = diffLines(before, after);
+  parts.forEach((part, i) => {
+    if (part.added) {
+      for (let n = 0; n < part.count; n++) lines.add(line + n);
+      line += part.count;
+    } else if (part.removed) {
+      // A pure deletion — the lines it joined up
+      if (!parts[i + 1]?.added) lines.add(line - 1).add(line);
+    } else {
+      line += part.count;
+    }
+  });
+  return lines;
+}
+
+/* ─── Checkers ─────────────────────────────────────────────────────── */
+// Each returns null, or { message, line } (line 1-based, null when unknown)
+
+function checkJavaScript(source, ext) {
+  const isTs = [".ts", ".mts", ".cts", ".tsx"].includes(ext);
+  const plugins = isTs ? ["typescript"] : [];
+  if (ext === ".jsx" || ext === ".tsx" || ext === ".js") plugins.push("jsx");
+
+  try {
+    babelParse(source, {
+      sourceType: "unambiguous",
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      errorRecovery: false,
+      plugins: [...plugins, "decorators-legacy", "importAttributes"],
+    });
+    return null;
+  } catch (err) {
+    return { message: err.message, line: err.loc?.line ?? null };
+  }
+}
+
+function checkJson(source) {
+  try {
+    JSON.parse(source);
+    return null;
+  } catch (err) {
+    const position = err.message.match(/at position (\d+)/);
+    const line = position ? source.slice(0, Number(position[1])).split("\n").length : null;
+    return { message: err.message, line };
+  }
+}
+
+function checkYaml(source) {
+  const docs = YAML.parseAllDocuments(source);
+  const docErrors = (Array.isArray(docs) ? docs : [docs]).flatMap((d) => d.errors || []);
+  if (docErrors.length === 0) return null;
+  return { message: docErrors[0].message.split("\n")[0], line: docErrors[0].linePos?.[0]?.line ?? null };
+}
+
+/**
+ * Compile candidate Python files in a scratch copy mounted into the sandbox,
+ * so nothing touches the clone until the check passes.
+ */
+async function checkPython(files, { runId, runtime, language, signal }) {
+  const scratchDir = path.resolve("tmp", `${runId}-syntax`);
+  try {
+    await fs.emptyDir(scratchDir);
+    for (const { file, source } of files) {
+      await fs.outputFile(path.join(scratchDir, file), source, "utf-8");
+    }
+
+    const names = files.map((f) => JSON.stringify(f.file)).join(" ");
+    const { exitCode, stdout, stderr } = await runInDocker({
+      image: language === "python" && runtime?.image ? runtime.image : getRuntime("python").image,
+      repoDir: scratchDir,
+      cmd: `python -m py_compile ${names}`,
+      runId,
+      timeout: 60_000,
+      signal,
+    });
+
+    // 127: no python in the sandbox — cannot judge, so don't reject
+    if (exitCode === 0 || exitCode === 127) return [];
+
+    const output = `${stdout}\n${stderr}`.trim();
+    const reports = splitPythonErrors(output);
+    const failing = files.filter((f) => reports.has(f.file));
+    if (failing.length === 0) {
+      // Nothing attributable to a file — every file shares the output
+      return files.map((f) => ({ file: f.file, message: summarizePythonError(output), line: null }));
+    }
+    return failing.map((f) => {
+      const report = reports.get(f.file);
+      const { line } = extractLocation(report);
+      return { file: f.file, message: `${summarizePythonError(report)}${line ? ` (line ${line})` : ""}`, line };
+    });
+  } finally {
+    await fs.remove(scratchDir).catch(() => {});
+  }
+}
+
+/** py_compile output → one report per file, each starting at its `File "…"` line */
+function splitPythonErrors(output) {
+  const reports = new Map();
+  let current = null;
+  for (const line of output.split("\n")) {
+    const file = line.match(/^\s*File "([^"]+)", line \d+/)?.[1];
+    if (file) {
+      current = file;
+      reports.set(file, "");
+    }
+    if (current) reports.set(current, `${reports.get(current)}${line}\n`);
+  }
+  return reports;
+}
+
+function summarizePythonError(report) {
+  return report.trim().split("\n").slice(-3).join(" ").trim();
+}
@@ -1,4 +1,5 @@
 import { logger } from "../utils/logger.js";
+import { redactDeep } from "../utils/redact.js";
 
 /** @type {Set<import('ws').WebSocket>} */
 const clients = new Set();
@@ -25,12 +26,13 @@ export function setupWebSocket(wss) {
 
 /**
  * Broadcast a progress event to all connected WS clients.
+ * Payloads are redacted — git errors and test output can carry tokens.
  *
  * @param {string} runId
  * @param {object} payload - { event, agent, message, data?, progress? }
  */
 export function broadcast(runId, payload) {
-  const message = JSON.stringify({ runId, timestamp: new Date().toISOString(), ...payload });
+  const message = JSON.stringify(redactDeep({ runId, timestamp: new Date().toISOString(), ...payload }));
   for (const client of clients) {
     if (client.readyState === 1) {
       client.send(message);
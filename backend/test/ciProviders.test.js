@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createCIProvider } from "../src/ci/index.js";
+import { parseRepoSource } from "../src/utils/repoSource.js";
+
+const ENV = ["GITLAB_URL", "GITLAB_TOKEN", "GIT_TOKEN_GIT_EXAMPLE_COM", "JENKINS_URL", "JENKINS_USER", "JENKINS_TOKEN"];
+const realFetch = globalThis.fetch;
+
+/** Requests made through fetch, answered from `responses` by URL prefix */
+let requests;
+let responses;
+
+beforeEach(() => {
+  for (const name of ENV) delete process.env[name];
+  requests = [];
+  responses = {};
+  globalThis.fetch = async (url, { method = "GET", headers = {} } = {}) => {
+    requests.push({ url, method, headers });
+    const body = Object.entries(responses).find(([prefix]) => url.startsWith(prefix))?.[1] ?? [];
+    return new Response(typeof body === "string" ? body : JSON.stringify(body), { status: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("repos on GITLAB_URL's host use it and GITLAB_TOKEN", async () => {
+  process.env.GITLAB_URL = "https://git.example.com/gitlab";
+  process.env.GITLAB_TOKEN = "glpat-configured";
+  const ci = createCIProvider({ provider: "gitlab" }, parseRepoSource("https://git.example.com/team/app.git"));
+
+  await ci.listRuns({ headSha: "abc123" });
+  assert.equal(requests[0].url, "https://git.example.com/gitlab/api/v4/projects/team%2Fapp/pipelines?sha=abc123&per_page=100");
+  assert.equal(requests[0].headers["PRIVATE-TOKEN"], "glpat-configured");
+});
+
+test("repos on other GitLab hosts use their own host and only its token", async () => {
+  process.env.GITLAB_URL = "https://gitlab.internal.example";
+  process.env.GITLAB_TOKEN = "glpat-configured";
+  const ci = createCIProvider({ provider: "gitlab" }, parseRepoSource("https://gitlab.com/team/app"));
+
+  await ci.listRuns({ headSha: "abc123" });
+  assert.match(requests[0].url, /^https:\/\/gitlab\.com\/api\/v4\/projects\/team%2Fapp\//);
+  assert.equal(requests[0].headers["PRIVATE-TOKEN"], undefined);
+
+  process.env.GIT_TOKEN_GIT_EXAMPLE_COM = "host-token";
+  await createCIProvider({ provider: "gitlab" }, parseRepoSource("https://git.example.com/team/app")).listRuns({ headSha: "abc123" });
+  assert.equal(requests[1].headers["PRIVATE-TOKEN"], "host-token");
+});
+
+test("an invalid GITLAB_URL falls back to the repo's host", async () => {
+  process.env.GITLAB_URL = "not a url";
+  const ci = createCIProvider({ provider: "gitlab" }, parseRepoSource("https://gitlab.com/team/app"));
+  await ci.listRuns({ headSha: "abc123" });
+  assert.match(requests[0].url, /^https:\/\/gitlab\.com\//);
+});
+
+test("Jenkins needs JENKINS_URL and a job", () => {
+  const source = parseRepoSource("https://git.example.com/team/app");
+  assert.equal(createCIProvider({ provider: "jenkins", job: "app" }, source), null);
+  process.env.JENKINS_URL = "https://ci.example.com";
+  assert.equal(createCIProvider({ provider: "jenkins" }, source), null);
+  assert.equal(createCIProvider({ provider: "jenkins", job: "app" }, source).name, "jenkins");
+});
+
+test("Jenkins credentials only go to JENKINS_URL's origin", async () => {
+  process.env.JENKINS_URL = "https://ci.example.com/";
+  process.env.JENKINS_USER = "bot";
+  process.env.JENKINS_TOKEN = "jenkins-api-token";
+  responses["https://ci.example.com/job/apps/job/fix%2Fbranch/api/json"] = {
+    builds: [{ number: 7, url: "https://elsewhere.example.net/build/7/", result: "FAILURE", building: false,
+      actions: [{ lastBuiltRevision: { SHA1: "abc123" } }] }],
+  };
+  const ci = createCIProvider({ provider: "jenkins", job: "apps/{branch}" }, parseRepoSource("https://git.example.com/team/app"));
+
+  const runs = await ci.listRuns({ branch: "fix/branch", headSha: "abc123" });
+  assert.deepEqual(runs.map((r) => [r.status, r.conclusion]), [["completed", "failure"]]);
+  assert.equal(requests[0].headers.Authorization, `Basic ${Buffer.from("bot:jenkins-api-token").toString("base64")}`);
+
+  await ci.fetchFailedLogs(runs, { limit: 5, isPassing: (c) => c === "success" });
+  assert.equal(requests[1].url, "https://elsewhere.example.net/build/7/consoleText");
+  assert.equal(requests[1].headers.Authorization, undefined);
+});
+
+test("CI servers are never taken from the repo config", () => {
+  process.env.GITLAB_URL = "https://gitlab.com";
+  const ci = createCIProvider({ provider: "gitlab", url: "https://attacker.example" }, parseRepoSource("https://gitlab.com/team/app"));
+  assert.equal(ci.name, "gitlab");
+  assert.equal(createCIProvider({ provider: "jenkins", job: "app", url: "https://attacker.example" }, parseRepoSource("https://gitlab.com/team/app")), null);
+});
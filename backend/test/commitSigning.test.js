@@ -0,0 +1,39 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSigning, SigningError } from "../src/utils/commitSigning.js";
+
+const ENV = ["COMMIT_SIGNING", "COMMIT_SIGNING_KEY", "COMMIT_SIGNING_FORMAT"];
+
+beforeEach(() => {
+  for (const name of ENV) delete process.env[name];
+});
+
+test("auto signs only when a key is configured", () => {
+  assert.equal(resolveSigning(), null);
+  process.env.COMMIT_SIGNING_KEY = "ABCDEF0123456789";
+  assert.deepEqual(resolveSigning(), { format: "gpg", key: "ABCDEF0123456789", required: false });
+});
+
+test("repo or run settings choose the mode when the backend allows it", () => {
+  process.env.COMMIT_SIGNING_KEY = "ABCDEF0123456789";
+  assert.equal(resolveSigning("off"), null);
+  assert.equal(resolveSigning("required").required, true);
+  delete process.env.COMMIT_SIGNING_KEY;
+  assert.throws(() => resolveSigning("required"), SigningError);
+});
+
+test("COMMIT_SIGNING=required can't be lowered by the repo or the run", () => {
+  process.env.COMMIT_SIGNING = "required";
+  assert.throws(() => resolveSigning("off"), SigningError);
+  assert.throws(() => resolveSigning("auto"), SigningError);
+  process.env.COMMIT_SIGNING_KEY = "ABCDEF0123456789";
+  assert.equal(resolveSigning("off").required, true);
+});
+
+test("bad key settings are rejected", () => {
+  process.env.COMMIT_SIGNING_KEY = "/nonexistent/id_ed25519";
+  process.env.COMMIT_SIGNING_FORMAT = "ssh";
+  assert.throws(() => resolveSigning(), /SSH signing key not found/);
+  process.env.COMMIT_SIGNING_FORMAT = "x509";
+  assert.throws(() => resolveSigning(), /COMMIT_SIGNING_FORMAT must be one of/);
+});
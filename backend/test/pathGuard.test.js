@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { createPathPolicy, resolveInside, PathBlockedError } from "../src/utils/pathGuard.js";
+
+test("resolveInside keeps paths inside the clone", async (t) => {
+  const repoDir = await fs.mkdtemp(path.join(os.tmpdir(), "pathguard-"));
+  const outside = await fs.mkdtemp(path.join(os.tmpdir(), "pathguard-out-"));
+  t.after(() => Promise.all([fs.remove(repoDir), fs.remove(outside)]));
+  await fs.ensureSymlink(outside, path.join(repoDir, "link"));
+
+  assert.deepEqual(await resolveInside(repoDir, "src/new/file.js"), {
+    rel: "src/new/file.js",
+    abs: path.join(repoDir, "src/new/file.js"),
+  });
+  for (const file of ["../escape.js", "src/../../escape.js", "/etc/passwd", "C:\\x.js", "", "a\0b", "link/file.js"]) {
+    await assert.rejects(resolveInside(repoDir, file), PathBlockedError, file);
+  }
+});
+
+test("the default deny-list covers VCS internals, CI definitions, lockfiles and repo config", () => {
+  const blocked = createPathPolicy();
+  for (const rel of [
+    ".git/config",
+    "vendor/lib/.git/hooks/pre-commit",
+    ".github/workflows/ci.yml",
+    ".gitlab-ci.yml",
+    ".pipelinesage.yml",
+    ".pipelinesage.yaml",
+    "package-lock.json",
+    "packages/app/yarn.lock",
+  ]) {
+    assert.equal(blocked(rel), "matches the write deny-list", rel);
+  }
+  assert.equal(blocked("src/app.js"), null);
+  assert.equal(blocked(".github/dependabot.yml"), null);
+});
+
+test("fixer.paths and fixer.deny narrow the policy", () => {
+  const blocked = createPathPolicy({ allow: ["src/**"], deny: ["src/generated/**"] });
+  assert.equal(blocked("src/app.js"), null);
+  assert.equal(blocked("src/generated/schema.js"), "matches the write deny-list");
+  assert.equal(blocked("scripts/build.js"), "outside fixer.paths in repo config");
+});
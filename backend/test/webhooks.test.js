@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import webhookRouter from "../src/routes/webhooks.js";
+import { subscribeCIEvents } from "../src/utils/ciEvents.js";
+
+const SECRET = "webhook-test-secret";
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+  // Same raw-body capture as index.js
+  const app = express();
+  app.use("/api/webhooks", express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+  app.use("/api", webhookRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks/github`;
+});
+
+after(() => {
+  delete process.env.GITHUB_WEBHOOK_SECRET;
+  return new Promise((resolve) => server.close(resolve));
+});
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function deliver(body, { event = "workflow_run", signature = sign(body) } = {}) {
+  return fetch(baseUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-GitHub-Event": event,
+      ...(signature && { "X-Hub-Signature-256": signature }),
+    },
+    body,
+  });
+}
+
+const workflowRun = JSON.stringify({
+  workflow_run: { id: 1, head_sha: "abc123", name: "CI", status: "completed", conclusion: "success", html_url: "https://github.com/o/r/actions/runs/1" },
+});
+
+test("rejects missing, malformed and wrongly keyed signatures", async () => {
+  for (const signature of [null, "sha256=deadbeef", sign(workflowRun, "other-secret")]) {
+    assert.equal((await deliver(workflowRun, { signature })).status, 401, String(signature));
+  }
+});
+
+test("the signature covers the exact body bytes", async () => {
+  const reformatted = JSON.stringify(JSON.parse(workflowRun), null, 2);
+  assert.equal((await deliver(reformatted, { signature: sign(workflowRun) })).status, 401);
+});
+
+test("signed events reach the Monitor waiting on that commit", async () => {
+  const subscription = subscribeCIEvents("abc123");
+  try {
+    const res = await deliver(workflowRun);
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { received: true, matched: true });
+    const [event] = await subscription.next(1000);
+    assert.equal(event.conclusion, "success");
+  } finally {
+    subscription.close();
+  }
+});
+
+test("answers pings and ignores unrelated events", async () => {
+  assert.deepEqual(await (await deliver("{}", { event: "ping" })).json(), { received: true, pong: true });
+  assert.deepEqual(await (await deliver("{}", { event: "push" })).json(), { received: true, ignored: "push" });
+});
+
+test("is unavailable without GITHUB_WEBHOOK_SECRET", async (t) => {
+  delete process.env.GITHUB_WEBHOOK_SECRET;
+  t.after(() => { process.env.GITHUB_WEBHOOK_SECRET = SECRET; });
+  assert.equal((await deliver(workflowRun)).status, 503);
+});
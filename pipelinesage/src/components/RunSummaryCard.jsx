@@ -7,6 +7,7 @@ import {
     AlertCircle,
     CheckCircle,
     Clock,
+    GitPullRequest,
 } from "lucide-react";
 
 function MetaItem({ icon, label, value, mono }) {
@@ -62,7 +63,7 @@ export function RunSummaryCard({ result }) {
                             className="text-primary hover:underline truncate max-w-[200px] block"
                             title={result.repoUrl}
                         >
-                            {result.repoUrl.replace("https://github.com/", "")}
+                            {result.repoUrl.replace(/^https:\/\/github\.com\//, "").replace(/^[a-z]+:\/\//, "")}
                         </a>
                     }
                 />
@@ -82,6 +83,22 @@ export function RunSummaryCard({ result }) {
                     value={result.branchName}
                     mono
                 />
+                {result.pullRequest?.url && (
+                    <MetaItem
+                        icon={<GitPullRequest size={14} />}
+                        label="Pull Request"
+                        value={
+                            <a
+                                href={result.pullRequest.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-primary hover:underline"
+                            >
+                                #{result.pullRequest.number}
+                            </a>
+                        }
+                    />
+                )}
                 <MetaItem
                     icon={<Clock size={14} />}
                     label="Time Taken"
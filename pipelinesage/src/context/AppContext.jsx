@@ -2,6 +2,7 @@ import { createContext, useContext, useState, useCallback, useRef } from "react"
 import {
     startAgent,
     getResults,
+    cancelRun,
     connectWebSocket,
     transformResult,
 } from "@/services/api";
@@ -92,7 +93,7 @@ export function AppProvider({ children }) {
      * Start agent run — calls the real backend API.
      * Returns { runId, branch } on success.
      */
-    const runAgent = useCallback(async ({ repoUrl, teamName, leaderName }) => {
+    const runAgent = useCallback(async ({ repoUrl, baseRef, teamName, leaderName }) => {
         setIsLoading(true);
         setProgress([]);
         setAgentStatus("Connecting to agent...");
@@ -100,7 +101,7 @@ export function AppProvider({ children }) {
 
         try {
             // 1. Start the agent
-            const res = await startAgent({ repoUrl, teamName, leaderName });
+            const res = await startAgent({ repoUrl, baseRef, teamName, leaderName });
             const newRunId = res.runId;
             setRunId(newRunId);
             setAgentStatus("Agent started — analyzing repository...");
@@ -112,12 +113,16 @@ export function AppProvider({ children }) {
                     setProgress((prev) => [...prev, event]);
                     setAgentStatus(event.message || event.event);
 
-                    // When pipeline is done, fetch final results
-                    if (event.event === "pipeline_done" && event.data) {
+                    // When pipeline is done (or cancelled), fetch final results
+                    if ((event.event === "pipeline_done" || event.event === "pipeline_cancelled") && event.data) {
                         const transformed = transformResult(event.data);
                         setResult(transformed);
                         setIsLoading(false);
-                        setAgentStatus("Pipeline complete!");
+                        setAgentStatus(event.event === "pipeline_cancelled" ? "Pipeline cancelled" : "Pipeline complete!");
+                    } else if (event.event === "pipeline_cancelled") {
+                        // Cancelled before the pipeline produced results (queued / orphaned run)
+                        setIsLoading(false);
+                        setAgentStatus("Pipeline cancelled");
                     }
                 },
                 (err) => {
@@ -155,14 +160,17 @@ export function AppProvider({ children }) {
             try {
                 const data = await getResults(id);
 
-                if (data.status === "processing") {
+                if (data.status === "queued") {
+                    setAgentStatus(`Queued — position ${data.queuePosition ?? "?"}`);
+                    setTimeout(poll, 5000);
+                } else if (data.status === "processing") {
                     // Still running — update logs if available
                     if (data.logs?.length) {
                         const lastLog = data.logs[data.logs.length - 1];
                         setAgentStatus(lastLog.event || lastLog.message || "Processing...");
                     }
                     setTimeout(poll, 5000);
-                } else if (data.result) {
+                } else if (data.result && !data.result.error) {
                     // Done! Transform and set result
                     const transformed = transformResult(data.result);
                     setResult(transformed);
@@ -175,8 +183,8 @@ export function AppProvider({ children }) {
                         disconnectWs.current = null;
                     }
                 } else {
-                    // Status is error/failed without result
-                    setAgentStatus(`Run ended with status: ${data.status}`);
+                    // Failed without results (the run could not start or crashed)
+                    setAgentStatus(`Run ended with status: ${data.status}${data.result?.error ? ` — ${data.result.error}` : ""}`);
                     setIsLoading(false);
                 }
             } catch (err) {
@@ -189,6 +197,24 @@ export function AppProvider({ children }) {
         setTimeout(poll, 3000);
     }, []);
 
+    /**
+     * Cancel the current run. Loading ends when pipeline_cancelled
+     * (or the poll) reports the final state.
+     */
+    const cancelAgent = useCallback(async () => {
+        if (!runId) return;
+        setAgentStatus("Cancelling...");
+        try {
+            const res = await cancelRun(runId);
+            if (res.status === "cancelled") {
+                setIsLoading(false);
+                setAgentStatus("Pipeline cancelled");
+            }
+        } catch (err) {
+            setAgentStatus(`Cancel failed: ${err.message}`);
+        }
+    }, [runId]);
+
     /**
      * Use mock result instead of real backend (fallback mode).
      */
@@ -207,7 +233,7 @@ export function AppProvider({ children }) {
                 result, setResult,
                 isLoading, setIsLoading,
                 runId, progress, agentStatus,
-                runAgent, runMockAgent,
+                runAgent, runMockAgent, cancelAgent,
             }}
         >
             {children}
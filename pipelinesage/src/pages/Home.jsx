@@ -3,7 +3,7 @@ import { useNavigate } from "react-router-dom";
 import { useAppContext } from "@/context/AppContext";
 import { Spinner } from "@/components/Spinner";
 import { ThemeToggle } from "@/components/ThemeToggle";
-import { Bot, Github, Users, User, ArrowRight, Zap, ArrowLeft, Wifi, WifiOff } from "lucide-react";
+import { Bot, Github, GitBranch, Users, User, ArrowRight, Zap, ArrowLeft, Wifi, WifiOff } from "lucide-react";
 
 function InputField({ id, label, placeholder, value, onChange, icon, type = "text", required = true, disabled = false }) {
     return (
@@ -38,10 +38,11 @@ function InputField({ id, label, placeholder, value, onChange, icon, type = "tex
 }
 
 export default function Home() {
-    const { runAgent, runMockAgent, setResult, isLoading, setIsLoading, agentStatus, progress } = useAppContext();
+    const { runAgent, runMockAgent, cancelAgent, setResult, isLoading, setIsLoading, agentStatus, progress } = useAppContext();
     const navigate = useNavigate();
 
     const [repoUrl, setRepoUrl] = useState("");
+    const [baseRef, setBaseRef] = useState("");
     const [teamName, setTeamName] = useState("");
     const [leaderName, setLeaderName] = useState("");
     const [error, setError] = useState("");
@@ -56,15 +57,16 @@ export default function Home() {
             return;
         }
 
-        if (!repoUrl.startsWith("https://github.com/")) {
-            setError('Repository URL must start with "https://github.com/"');
+        // Any git host, SSH remote or (if the backend allows it) a local path
+        if (!/^(https?:\/\/|ssh:\/\/|file:\/\/|[\w.-]+@[\w.-]+:|\/)/.test(repoUrl.trim())) {
+            setError("Enter a git URL (https://, ssh://, git@host:owner/repo) or an absolute path");
             return;
         }
 
         try {
             if (useBackend) {
                 // Real backend call
-                await runAgent({ repoUrl, teamName, leaderName });
+                await runAgent({ repoUrl, baseRef: baseRef.trim() || undefined, teamName, leaderName });
                 // Don't navigate immediately — wait for results via WS/polling
                 // The context will set result when done, and we'll navigate then
             } else {
@@ -151,12 +153,21 @@ export default function Home() {
                         <div className="space-y-4">
                             <InputField
                                 id="repo-url"
-                                label="GitHub Repository URL"
+                                label="Repository URL"
                                 placeholder="https://github.com/user/repo"
                                 value={repoUrl}
                                 onChange={setRepoUrl}
                                 icon={<Github size={15} />}
-                                type="url"
+                                disabled={isLoading}
+                            />
+                            <InputField
+                                id="base-ref"
+                                label="Base Branch, Tag or Commit (optional)"
+                                placeholder="main"
+                                value={baseRef}
+                                onChange={setBaseRef}
+                                icon={<GitBranch size={15} />}
+                                required={false}
                                 disabled={isLoading}
                             />
                             <InputField
@@ -197,6 +208,15 @@ export default function Home() {
                                 <div className="flex items-center gap-2 mb-2">
                                     <span className="w-2 h-2 rounded-full bg-primary animate-pulse" />
                                     <p className="text-xs font-semibold text-primary">Agent Running</p>
+                                    <button
+                                        type="button"
+                                        onClick={cancelAgent}
+                                        className="ml-auto text-[11px] font-semibold text-danger hover:underline cursor-pointer
+                    focus:outline-none focus:ring-2 focus:ring-danger/40 rounded"
+                                        aria-label="Cancel the running agent"
+                                    >
+                                        Cancel
+                                    </button>
                                 </div>
                                 <p className="text-xs text-muted-foreground">
                                     {agentStatus || "Connecting..."}
@@ -24,12 +24,13 @@ async function request(path, options = {}) {
 
 /**
  * POST /api/run-agent — Start the autonomous agent.
- * @returns {{ status, runId, branch, message }}
+ * `baseRef` (branch, tag or SHA) is optional — the default branch otherwise.
+ * @returns {{ status, runId, branch, queuePosition, message }}
  */
-export async function startAgent({ repoUrl, teamName, leaderName }) {
+export async function startAgent({ repoUrl, baseRef, teamName, leaderName }) {
   return request("/run-agent", {
     method: "POST",
-    body: JSON.stringify({ repoUrl, teamName, leaderName }),
+    body: JSON.stringify({ repoUrl, ...(baseRef && { baseRef }), teamName, leaderName }),
   });
 }
 
@@ -41,6 +42,14 @@ export async function getResults(runId) {
   return request(`/results/${runId}`);
 }
 
+/**
+ * DELETE /api/runs/:runId — Cancel an in-flight run.
+ * @returns {{ status, runId, message? }}
+ */
+export async function cancelRun(runId) {
+  return request(`/runs/${runId}`, { method: "DELETE" });
+}
+
 /**
  * GET /api/runs — List all runs.
  */
@@ -108,6 +117,19 @@ export function connectWebSocket(runId, onMessage, onError) {
 
 /* ─── Data Transform ────────────────────────────────────────────────── */
 
+/** Timeline status → message for iteration `i` */
+const TIMELINE_MESSAGES = {
+  PASSED: () => "All tests passed — CI/CD green ✓",
+  FAILED: (i) => `Iteration ${i} — tests failed`,
+  ERROR: (i) => `Error during iteration ${i}`,
+  REVERTED: (i) => `Iteration ${i} — fixes reverted (tests regressed)`,
+  STALLED: (i) => `Iteration ${i} — no progress, stopped early`,
+  REJECTED: (i) => `Iteration ${i} — fixes rejected (syntax errors), retrying`,
+  PUSH_CONFLICT: (i) => `Iteration ${i} — remote branch changed, push conflicted`,
+  CI_FAILED: (i) => `Iteration ${i} — tests pass locally but CI failed, fixing from CI logs`,
+  CI_PASSED: (i) => `Iteration ${i} — CI/CD passed ✓`,
+};
+
 /**
  * Transform the backend result into the shape the frontend components expect.
  * This bridges the gap between backend field names and component props.
@@ -126,6 +148,7 @@ export function transformResult(apiResult) {
     totalFixes: r.totalFixes,
     totalFixesFailed: r.totalFixesFailed ?? 0,
     totalFixesSkipped: r.totalFixesSkipped ?? 0,
+    totalFixesBlocked: r.totalFixesBlocked ?? 0,
     totalFixesAttempted: r.totalFixesAttempted ?? r.totalFixes,
     totalIterations: r.totalIterations ?? 0,
     cicdStatus: r.finalStatus,
@@ -136,6 +159,9 @@ export function transformResult(apiResult) {
     // Repo stats
     repoStats: r.repoStats || {},
 
+    // Pull request opened for the fix branch (if any)
+    pullRequest: r.pullRequest || null,
+
     // Score breakdown fields
     baseScore: sb.base ?? 100,
     speedBonus: sb.speedBonus ?? 0,
@@ -157,6 +183,7 @@ export function transformResult(apiResult) {
       description: f.description || "",
       originalCode: f.originalCode || null,
       fixedCode: f.fixedCode || null,
+      patch: f.patch || null,
       status: f.status === "Fixed" ? "PASSED" : "FAILED",
       reason: f.reason || null,
     })),
@@ -183,13 +210,11 @@ export function transformResult(apiResult) {
       total: r.timeline.length,
       status: t.status,
       timestamp: new Date(t.timestamp).toLocaleString(),
-      message: t.status === "PASSED"
-        ? "All tests passed — CI/CD green ✓"
-        : t.status === "FAILED"
-          ? `Iteration ${t.iteration} — tests failed`
-          : t.status === "ERROR"
-            ? `Error during iteration ${t.iteration}`
-            : `Status: ${t.status}`,
+      workflows: t.workflows || [],
+      message: (TIMELINE_MESSAGES[t.status]?.(t.iteration) ?? `Status: ${t.status}`)
+        + (t.workflows?.length
+          ? ` · ${t.workflows.map((w) => `${w.name}: ${w.conclusion}`).join(", ")}`
+          : ""),
     })),
   };
 }